@@ -0,0 +1,291 @@
+/**
+ * Avoid-list grammar — one parser for matching, track blocking and the stored brief.
+ *
+ * parseAvoidList turns the customer's free-text "do not play" answer (English or
+ * Thai) into { raw, genres, artists, languages, exceptions, intensity, mainstream }.
+ * Exceptions ("except live jazz", "hip hop is fine") carve items out of every rule.
+ *
+ * scripts/test-avoid-list.js runs the fixtures in scripts/fixtures/avoid-list.json.
+ */
+
+// Thai avoid phrases → English equivalents the grammar below understands.
+// Thai is written without spaces, so translateThaiTerms segments it: longest
+// word first, and only at word boundaries (see there). Longer everyday words
+// that contain a term (สดใส contains สด) are listed so they win.
+const AVOID_THAI_TERMS = [
+  ['\u0e22\u0e01\u0e40\u0e27\u0e49\u0e19', 'except'], // ยกเว้น
+  ['\u0e40\u0e27\u0e49\u0e19\u0e41\u0e15\u0e48', 'except'], // เว้นแต่
+  ['\u0e19\u0e2d\u0e01\u0e08\u0e32\u0e01', 'except'], // นอกจาก
+  ['\u0e44\u0e21\u0e48\u0e15\u0e49\u0e2d\u0e07\u0e01\u0e32\u0e23', 'no'], // ไม่ต้องการ
+  ['\u0e44\u0e21\u0e48\u0e40\u0e2d\u0e32', 'no'], // ไม่เอา
+  ['\u0e2b\u0e49\u0e32\u0e21\u0e40\u0e1b\u0e34\u0e14', 'no'], // ห้ามเปิด
+  ['\u0e2b\u0e49\u0e32\u0e21', 'no'], // ห้าม
+  ['\u0e44\u0e21\u0e48\u0e0a\u0e2d\u0e1a', 'no'], // ไม่ชอบ
+  ['\u0e44\u0e21\u0e48', 'no'], // ไม่
+  ['\u0e41\u0e25\u0e30', 'and'], // และ
+  ['\u0e2b\u0e23\u0e37\u0e2d', 'or'], // หรือ
+  ['\u0e40\u0e1e\u0e25\u0e07\u0e2e\u0e34\u0e15', 'hits'], // เพลงฮิต
+  ['\u0e01\u0e23\u0e30\u0e41\u0e2a\u0e2b\u0e25\u0e31\u0e01', 'mainstream'], // กระแสหลัก
+  ['\u0e40\u0e2a\u0e35\u0e22\u0e07\u0e14\u0e31\u0e07\u0e40\u0e01\u0e34\u0e19\u0e44\u0e1b', 'loud'], // เสียงดังเกินไป
+  ['\u0e40\u0e2a\u0e35\u0e22\u0e07\u0e14\u0e31\u0e07', 'loud'], // เสียงดัง
+  ['\u0e14\u0e31\u0e07\u0e40\u0e01\u0e34\u0e19\u0e44\u0e1b', 'loud'], // ดังเกินไป
+  ['\u0e2b\u0e19\u0e27\u0e01\u0e2b\u0e39', 'loud'], // หนวกหู
+  ['\u0e04\u0e33\u0e2b\u0e22\u0e32\u0e1a', 'explicit'], // คำหยาบ
+  ['\u0e23\u0e38\u0e19\u0e41\u0e23\u0e07', 'aggressive'], // รุนแรง
+  ['\u0e40\u0e23\u0e47\u0e27\u0e40\u0e01\u0e34\u0e19\u0e44\u0e1b', 'fast'], // เร็วเกินไป
+  ['\u0e40\u0e28\u0e23\u0e49\u0e32', 'sad'], // เศร้า
+  ['\u0e2e\u0e34\u0e1b\u0e2e\u0e2d\u0e1b', 'hip hop'], // ฮิปฮอป
+  ['\u0e41\u0e23\u0e47\u0e1e', 'rap'], // แร็พ
+  ['\u0e41\u0e23\u0e47\u0e1b', 'rap'], // แร็ป
+  ['\u0e23\u0e47\u0e2d\u0e04', 'rock'], // ร็อค
+  ['\u0e23\u0e47\u0e2d\u0e01', 'rock'], // ร็อก
+  ['\u0e40\u0e21\u0e17\u0e31\u0e25', 'metal'], // เมทัล
+  ['\u0e40\u0e04\u0e1b\u0e4a\u0e2d\u0e1b', 'k-pop'], // เคป๊อป
+  ['\u0e1b\u0e4a\u0e2d\u0e1b', 'pop'], // ป๊อป
+  ['\u0e1b\u0e47\u0e2d\u0e1b', 'pop'], // ป็อป
+  ['\u0e41\u0e08\u0e4a\u0e2a', 'jazz'], // แจ๊ส
+  ['\u0e25\u0e39\u0e01\u0e17\u0e38\u0e48\u0e07', 'luk thung'], // ลูกทุ่ง
+  ['\u0e2b\u0e21\u0e2d\u0e25\u0e33', 'mor lam'], // หมอลำ
+  ['\u0e2d\u0e35\u0e14\u0e35\u0e40\u0e2d\u0e47\u0e21', 'edm'], // อีดีเอ็ม
+  ['\u0e41\u0e14\u0e19\u0e0b\u0e4c', 'dance'], // แดนซ์
+  ['\u0e04\u0e31\u0e19\u0e17\u0e23\u0e35', 'country'], // คันทรี
+  ['\u0e04\u0e25\u0e32\u0e2a\u0e2a\u0e34\u0e01', 'classical'], // คลาสสิก
+  ['\u0e14\u0e19\u0e15\u0e23\u0e35\u0e2a\u0e14', 'live'], // ดนตรีสด
+  ['\u0e2a\u0e14', 'live'], // สด
+  ['\u0e2b\u0e19\u0e31\u0e01', 'heavy'], // หนัก
+  ['\u0e2a\u0e14\u0e43\u0e2a', 'bright'], // สดใส
+  ['\u0e2a\u0e14\u0e0a\u0e37\u0e48\u0e19', 'fresh'], // สดชื่น
+  ['\u0e44\u0e17\u0e22', 'thai'], // ไทย
+  ['\u0e40\u0e01\u0e32\u0e2b\u0e25\u0e35', 'korean'], // เกาหลี
+  ['\u0e0d\u0e35\u0e48\u0e1b\u0e38\u0e48\u0e19', 'japanese'], // ญี่ปุ่น
+  ['\u0e08\u0e35\u0e19', 'chinese'], // จีน
+  ['\u0e2a\u0e40\u0e1b\u0e19', 'spanish'], // สเปน
+  ['\u0e1d\u0e23\u0e31\u0e48\u0e07\u0e40\u0e28\u0e2a', 'french'], // ฝรั่งเศส
+  ['\u0e2d\u0e34\u0e19\u0e40\u0e14\u0e35\u0e22', 'indian'], // อินเดีย
+  ['\u0e2d\u0e31\u0e07\u0e01\u0e24\u0e29', 'english'], // อังกฤษ
+  ['\u0e2a\u0e32\u0e01\u0e25', 'western'], // สากล
+  ['\u0e40\u0e1e\u0e25\u0e07', ''], // เพลง
+  ['\u0e41\u0e19\u0e27', ''], // แนว (style)
+].sort((a, b) => b[0].length - a[0].length);
+
+// Negations, connectives and "song"/"style" prefixes run straight into the next
+// word (ไม่เอาร็อค, เพลงช้า), so only they may end without a boundary
+const AVOID_THAI_PREFIX_WORDS = new Set(['', 'no', 'except', 'and', 'or']);
+
+const isThaiChar = ch => ch >= '\u0e00' && ch <= '\u0e7f';
+
+// Swap Thai avoid terms for their English equivalents. A term has to start at a
+// boundary (start of text, a non-Thai character or right after another term) and,
+// unless it's a prefix word, end at one (end of text, a non-Thai character, the
+// repeat mark ๆ or the start of another term). Anything else is left as written,
+// so เพลงสดใส keeps "bright" instead of reading สด as "live".
+function translateThaiTerms(text) {
+  const termAt = i => AVOID_THAI_TERMS.find(([th]) => text.startsWith(th, i));
+  let out = '';
+  let atBoundary = true;
+  let i = 0;
+  while (i < text.length) {
+    const term = atBoundary && termAt(i);
+    const end = term ? i + term[0].length : 0;
+    const endsWord = term && (end >= text.length || !isThaiChar(text[end]) || text[end] === '\u0e46' || !!termAt(end));
+    if (term && (endsWord || AVOID_THAI_PREFIX_WORDS.has(term[1]))) {
+      out += ` ${term[1]} `;
+      i = end;
+      if (text[i] === '\u0e46') i++; // ๆ repeats the word before it
+      atBoundary = true;
+      continue;
+    }
+    out += text[i];
+    atBoundary = !isThaiChar(text[i]);
+    i++;
+  }
+  return out;
+}
+
+// Multi-word genres that contain a splitter or intensity word
+const AVOID_COMPOUND_GENRES = [
+  [/\brock\s*(?:and|&|'?n'?)\s*roll\b/gi, 'rock n roll'],
+  [/\bdrum\s*(?:and|&|'?n'?)\s*bass\b/gi, 'drum n bass'],
+  [/\bheavy metal\b/gi, 'heavy metal'],
+  [/\bhard rock\b/gi, 'hard rock'],
+  [/\bhard techno\b/gi, 'hard techno'],
+];
+
+const AVOID_INTENSITY_WORDS = {
+  loud: /\b(?:loud|noisy|blaring)\b/i,
+  explicit: /\b(?:explicit(?: lyrics)?|swearing|swear words|profanity|curse words|cursing|dirty lyrics|parental advisory)\b/i,
+  aggressive: /\b(?:aggressive|heavy|harsh|intense)\b/i,
+  fast: /\b(?:fast|high[- ]tempo|high[- ]bpm|frantic)\b/i,
+  sad: /\b(?:sad|depressing|melancholic|melancholy|gloomy)\b/i,
+};
+
+// "is fine" / "are ok" marks the allowed half of a clause
+const AVOID_ALLOWED = /\b(?:is|are)\s+(?:fine|ok|okay|allowed|good)\b/i;
+
+const AVOID_MAINSTREAM = /\b(?:mainstream|hits|top 40|top forty|charts?|commercial|overplayed|radio)\b/gi;
+const AVOID_FILLER = /\b(?:no|not|nothing|none|avoid|avoiding|without|never|don'?t|do not|please|play|playing|any|anything|too|very|overly|music|songs?|tracks?|lyrics|stuff|genres?|styles?|kind of|type of|like)\b/gi;
+
+// Connectors left at the edges of a phrase once filler and intensity words are out
+// ("songs with explicit lyrics" → "with", "unless in December" → "in December");
+// trimmed from both ends only, so "System of a Down" keeps its "of a"
+const AVOID_STOPWORDS = new Set([
+  'with', 'of', 'in', 'on', 'that', 'which', 'who', 'for', 'the', 'a', 'an', 'at', 'to', 'is', 'are', 'it', 'its', 'has', 'have',
+]);
+
+function trimAvoidStopwords(phrase) {
+  const words = phrase.split(/\s+/).filter(Boolean);
+  while (words.length && AVOID_STOPWORDS.has(words[0].toLowerCase())) words.shift();
+  while (words.length && AVOID_STOPWORDS.has(words[words.length - 1].toLowerCase())) words.pop();
+  return words.join(' ');
+}
+
+// Words that mark a phrase as a genre/style rather than an artist name
+const AVOID_GENRE_WORDS = new Set([
+  'pop', 'rock', 'hip', 'hop', 'hiphop', 'rap', 'edm', 'techno', 'house', 'metal', 'jazz', 'country',
+  'reggaeton', 'k-pop', 'kpop', 'j-pop', 'jpop', 't-pop', 'trance', 'dubstep', 'punk', 'r&b', 'rnb', 'soul',
+  'blues', 'classical', 'opera', 'gospel', 'christmas', 'kids', 'children', 'luk', 'thung', 'mor', 'lam',
+  'latin', 'reggae', 'folk', 'disco', 'funk', 'electronic', 'dance', 'trap', 'drill', 'grunge', 'emo',
+  'ambient', 'indie', 'acoustic', 'lofi', 'lo-fi', 'bossa', 'nova', 'instrumental', 'ballads', 'ballad',
+  'religious', 'worship', 'hardcore', 'hardstyle', 'dnb', 'ska', 'swing', 'samba', 'salsa', 'bachata',
+  'cumbia', 'afrobeats', 'mandopop', 'cantopop', 'anime', 'soundtrack', 'musicals', 'remix', 'remixes',
+  'covers', 'live', 'chill', 'lounge', 'piano', 'orchestral', 'n', 'roll', 'bass', 'drum', 'elevator',
+]);
+
+// Language and nationality words → the language keys the playlist language filter
+// uses, so "no Thai music" rules out Thai playlists instead of searching an artist "Thai"
+const AVOID_LANGUAGE_WORDS = [
+  [/^thai$/, 'thai'],
+  [/^korean$/, 'korean'],
+  [/^japanese$/, 'japanese'],
+  [/^(?:chinese|mandarin|cantonese|taiwanese)$/, 'chinese'],
+  [/^(?:spanish|mexican)$/, 'spanish'],
+  [/^(?:portuguese|brazilian)$/, 'portuguese'],
+  [/^french$/, 'french'],
+  [/^italian$/, 'italian'],
+  [/^(?:hindi|indian)$/, 'hindi'],
+  [/^(?:english|western)$/, 'english'],
+];
+
+function avoidLanguage(word) {
+  const match = AVOID_LANGUAGE_WORDS.find(([pattern]) => pattern.test(word));
+  return match ? match[1] : null;
+}
+
+function emptyAvoidSpec(raw = '') {
+  return { raw, genres: [], artists: [], languages: [], exceptions: [], intensity: [], mainstream: false };
+}
+
+function normalizeAvoidPhrase(s) {
+  return s.toLowerCase().replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a free-text avoid list into { raw, genres, artists, languages, exceptions, intensity, mainstream }.
+ * "no pop or hip-hop, nothing too loud except live jazz, no Taylor Swift" →
+ * genres ['pop', 'hip hop'], intensity ['loud'], exceptions ['live jazz'], artists ['Taylor Swift'].
+ * Genres and exceptions are lowercase with hyphens as spaces; artists keep their casing.
+ * "no Korean songs" → languages ['korean'] (language keys, for the playlist language filter).
+ */
+function parseAvoidList(avoidList) {
+  const raw = typeof avoidList === 'string' ? avoidList.trim() : '';
+  const spec = emptyAvoidSpec(raw);
+  if (!raw) return spec;
+
+  let text = translateThaiTerms(raw);
+  for (const [pattern, replacement] of AVOID_COMPOUND_GENRES) text = text.replace(pattern, replacement);
+
+  const addUnique = (list, value) => { if (value && !list.includes(value)) list.push(value); };
+
+  for (const clause of text.split(/[,;\n]+/)) {
+    // "X except Y" / "X but Y is fine" — Y is allowed even if X would exclude it.
+    // "but" goes either way: "jazz is fine but no rap" allows jazz and rules out rap.
+    let rulePart = clause;
+    let exceptionPart = '';
+    const except = clause.match(/^(.*?)\b(?:except(?: for)?|apart from|other than|unless(?: it'?s)?)\b(.*)$/i);
+    const but = !except && clause.match(/^(.*?)\bbut\b(.*)$/i);
+    if (except) {
+      rulePart = except[1];
+      exceptionPart = except[2].replace(AVOID_ALLOWED, '');
+    } else if (but && AVOID_ALLOWED.test(but[1]) && !AVOID_ALLOWED.test(but[2])) {
+      rulePart = but[2];
+      exceptionPart = but[1].split(AVOID_ALLOWED)[0];
+    } else if (but) {
+      rulePart = but[1];
+      exceptionPart = but[2].replace(AVOID_ALLOWED, '');
+    } else if (AVOID_ALLOWED.test(clause)) {
+      rulePart = '';
+      exceptionPart = clause.split(AVOID_ALLOWED)[0];
+    }
+
+    for (const phrase of exceptionPart.split(/\b(?:and|or|nor)\b|\//i)) {
+      const exc = normalizeAvoidPhrase(trimAvoidStopwords(phrase.replace(AVOID_FILLER, ' ')));
+      if (exc.length >= 2) addUnique(spec.exceptions, exc);
+    }
+
+    // Words ahead of a mid-clause "no" describe what they do want ("bright songs
+    // no rock" — Thai rarely uses commas); the rule starts at the "no"
+    const lead = rulePart.match(/^(.*?)\b(?:no|nothing|avoid|without)\b/i);
+    if (lead && lead[1].trim()) rulePart = rulePart.slice(lead[1].length);
+
+    for (let phrase of rulePart.split(/\b(?:and|or|nor)\b|\//i)) {
+      if (AVOID_MAINSTREAM.test(phrase)) spec.mainstream = true;
+      AVOID_MAINSTREAM.lastIndex = 0;
+      phrase = phrase.replace(AVOID_MAINSTREAM, ' ');
+
+      // "heavy metal" / "hard rock" are genres, not intensity
+      const compound = AVOID_COMPOUND_GENRES.some(([pattern]) => { pattern.lastIndex = 0; return pattern.test(phrase); });
+      if (!compound) {
+        for (const [flag, pattern] of Object.entries(AVOID_INTENSITY_WORDS)) {
+          if (pattern.test(phrase)) {
+            addUnique(spec.intensity, flag);
+            phrase = phrase.replace(pattern, ' ');
+          }
+        }
+      }
+
+      const byArtist = phrase.match(/\b(?:by|from|artists?|bands?|singers?)\s+(.+)$/i);
+      const cleaned = trimAvoidStopwords((byArtist ? byArtist[1] : phrase).replace(AVOID_FILLER, ' '));
+      if (cleaned.length < 2) continue;
+
+      const words = normalizeAvoidPhrase(cleaned).split(' ');
+      const looksLikeGenre = words.some(w => AVOID_GENRE_WORDS.has(w));
+      const languages = words.map(avoidLanguage);
+      if (!byArtist && !looksLikeGenre && languages.every(Boolean)) {
+        for (const lang of languages) addUnique(spec.languages, lang);
+        continue;
+      }
+      const looksLikeName = /^[A-Z0-9\u0e00-\u0e7f]/.test(cleaned) && cleaned.split(' ').every(w => /^[A-Z0-9\u0e00-\u0e7f&.'-]/.test(w));
+      if (byArtist || (!looksLikeGenre && looksLikeName)) addUnique(spec.artists, cleaned);
+      else addUnique(spec.genres, normalizeAvoidPhrase(cleaned));
+    }
+  }
+  return spec;
+}
+
+function hasAvoidRules(spec) {
+  return !!spec && (spec.genres.length > 0 || spec.artists.length > 0 || (spec.languages || []).length > 0 || spec.intensity.length > 0 || spec.mainstream);
+}
+
+// One-line summary for the designer email: "Genres: pop, hip hop · Intensity: loud · Except: live jazz"
+function describeAvoidSpec(spec) {
+  const parts = [];
+  if (spec.genres.length) parts.push(`Genres: ${spec.genres.join(', ')}`);
+  if (spec.artists.length) parts.push(`Artists: ${spec.artists.join(', ')}`);
+  if (spec.languages?.length) parts.push(`Languages: ${spec.languages.join(', ')}`);
+  if (spec.intensity.length) parts.push(`Intensity: ${spec.intensity.join(', ')}`);
+  if (spec.mainstream) parts.push('Mainstream hits');
+  if (spec.exceptions.length) parts.push(`Except: ${spec.exceptions.join(', ')}`);
+  return parts.join(' \u00b7 ');
+}
+
+/** True when a genre/artist rule is carved out by an exception ("no jazz except live jazz"). */
+function avoidTermCoveredByException(term, spec) {
+  return spec.exceptions.some(exc => exc.includes(term));
+}
+
+module.exports = {
+  parseAvoidList,
+  hasAvoidRules,
+  describeAvoidSpec,
+  avoidTermCoveredByException,
+};
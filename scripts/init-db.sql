@@ -54,7 +54,7 @@ CREATE TABLE IF NOT EXISTS schedule_entries (
   playlist_name VARCHAR(255),
   start_time TIME NOT NULL,               -- e.g. '09:00'
   end_time TIME,                          -- e.g. '12:00' (for display only; worker triggers on start_time)
-  days VARCHAR(20) DEFAULT 'daily',       -- 'daily', 'weekday', 'weekend'
+  days VARCHAR(20) DEFAULT 'daily',       -- 'daily', 'weekday', 'weekend' or day codes ('MO,TU,WE')
   timezone VARCHAR(50) DEFAULT 'Asia/Bangkok', -- venue timezone for worker time comparisons
   status VARCHAR(20) DEFAULT 'active',    -- active/paused/completed/error
   last_assigned_at TIMESTAMP,
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Playlist Prior Learning Job
+ *
+ * Reads every submitted brief, counts how often each playlist was shown
+ * (aiResults.allRecommendations) vs. selected (aiResults.likedPlaylists) per
+ * product + venueType + vibe combination, and writes data/playlist-priors.json.
+ * The server picks the file up on its next match (mtime check) and applies each
+ * playlist's boost through the historicalPrior scorer, capped by priorMaxBoost
+ * in data/scoring-weights.json.
+ *
+ * Prints a report of what changed against the previous priors file: new
+ * entries, playlists that rose or sank, and the strongest sinkers overall.
+ *
+ * Usage:
+ *   DATABASE_URL=postgres://... node scripts/learn-playlist-priors.js
+ *   node scripts/learn-playlist-priors.js --input briefs.json   # rows exported as JSON
+ *   node scripts/learn-playlist-priors.js --dry-run             # report only, don't write
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const PRIORS_PATH = path.join(__dirname, '..', 'data', 'playlist-priors.json');
+
+// Smoothing: a playlist needs this many showings before its own rate outweighs
+// the segment average. Boosts are ln(lift) * BOOST_SCALE, capped at ±MAX_BOOST.
+const SMOOTHING = 5;
+const BOOST_SCALE = 2;
+const MAX_BOOST = 3;
+const MIN_SHOWN = 2;
+const REPORT_DELTA = 0.5;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const inputIdx = args.indexOf('--input');
+const inputFile = inputIdx >= 0 ? args[inputIdx + 1] : null;
+
+async function loadBriefRows() {
+  if (inputFile) return JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL not set (or pass --input <file>).');
+    process.exit(1);
+  }
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false }, max: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, product, venue_type, raw_data FROM briefs
+       WHERE raw_data ? 'aiResults' ORDER BY id`
+    );
+    return rows;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Same key format the server uses in lookupPlaylistPriors()
+function segmentKey(product, venueType, vibes) {
+  const vibeKey = vibes.length > 0 ? [...vibes].map(v => String(v).toLowerCase()).sort().join('+') : '*';
+  return `${product || 'syb'}|${venueType || '*'}|${vibeKey}`;
+}
+
+function countSelections(rows) {
+  const segments = {};
+  let used = 0;
+  for (const row of rows) {
+    const raw = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : (row.raw_data || {});
+    const shown = new Set((raw.aiResults?.allRecommendations || []).map(r => r.playlistId).filter(Boolean).map(String));
+    if (shown.size === 0) continue;
+    const selected = new Set((raw.aiResults?.likedPlaylists || []).map(r => r.playlistId).filter(Boolean).map(String));
+    const vibes = Array.isArray(raw.extractedBrief?.vibes) ? raw.extractedBrief.vibes : [];
+    const venueType = row.venue_type || raw.extractedBrief?.venueType || '';
+    used++;
+
+    // Count into the exact vibe combination and the venue-type-wide segment
+    for (const key of new Set([segmentKey(row.product, venueType, vibes), segmentKey(row.product, venueType, [])])) {
+      const seg = segments[key] || (segments[key] = { briefs: 0, shown: 0, selected: 0, playlists: {} });
+      seg.briefs++;
+      for (const id of shown) {
+        const p = seg.playlists[id] || (seg.playlists[id] = { shown: 0, selected: 0 });
+        p.shown++;
+        seg.shown++;
+        if (selected.has(id)) { p.selected++; seg.selected++; }
+      }
+    }
+  }
+  return { segments, used };
+}
+
+function computeBoosts(segments) {
+  for (const seg of Object.values(segments)) {
+    const baseRate = seg.shown > 0 ? seg.selected / seg.shown : 0;
+    for (const [id, p] of Object.entries(seg.playlists)) {
+      if (p.shown < MIN_SHOWN || baseRate === 0 || baseRate === 1) {
+        delete seg.playlists[id];
+        continue;
+      }
+      const rate = (p.selected + SMOOTHING * baseRate) / (p.shown + SMOOTHING);
+      const boost = Math.max(-MAX_BOOST, Math.min(MAX_BOOST, BOOST_SCALE * Math.log(rate / baseRate)));
+      p.boost = Math.round(boost * 100) / 100;
+    }
+    seg.selectRate = Math.round(baseRate * 1000) / 1000;
+  }
+  return segments;
+}
+
+function diffPriors(previous, next) {
+  const changes = [];
+  for (const [key, seg] of Object.entries(next)) {
+    const prevSeg = previous?.[key]?.playlists || {};
+    for (const [id, p] of Object.entries(seg.playlists)) {
+      const before = prevSeg[id]?.boost;
+      if (before === undefined) {
+        if (Math.abs(p.boost) >= REPORT_DELTA) changes.push({ segment: key, playlistId: id, change: 'new', before: null, after: p.boost, shown: p.shown, selected: p.selected });
+      } else if (Math.abs(p.boost - before) >= REPORT_DELTA) {
+        changes.push({ segment: key, playlistId: id, change: p.boost > before ? 'rose' : 'sank', before, after: p.boost, shown: p.shown, selected: p.selected });
+      }
+    }
+    for (const id of Object.keys(prevSeg)) {
+      if (!seg.playlists[id]) changes.push({ segment: key, playlistId: id, change: 'removed', before: prevSeg[id].boost, after: null });
+    }
+  }
+  return changes;
+}
+
+function printReport(result, changes) {
+  const fmt = b => (b === null ? '—' : `${b > 0 ? '+' : ''}${b}`);
+  console.log(`\nPlaylist priors — ${result.briefCount} briefs, ${Object.keys(result.segments).length} segments\n`);
+
+  const sinkers = [];
+  for (const [key, seg] of Object.entries(result.segments)) {
+    for (const [id, p] of Object.entries(seg.playlists)) if (p.boost <= -1) sinkers.push({ key, id, ...p });
+  }
+  sinkers.sort((a, b) => a.boost - b.boost);
+  console.log('Most rejected (boost ≤ −1):');
+  if (sinkers.length === 0) console.log('  (none)');
+  for (const s of sinkers.slice(0, 15)) console.log(`  ${s.id.padEnd(12)} ${String(s.boost).padStart(6)}  selected ${s.selected}/${s.shown}  [${s.key}]`);
+
+  console.log(`\nChanges vs. previous run (|Δ| ≥ ${REPORT_DELTA}): ${changes.length}`);
+  for (const c of changes.slice(0, 50)) {
+    console.log(`  ${c.change.padEnd(8)} ${c.playlistId.padEnd(12)} ${fmt(c.before).padStart(6)} → ${fmt(c.after).padEnd(6)} [${c.segment}]`);
+  }
+  if (changes.length > 50) console.log(`  … and ${changes.length - 50} more`);
+}
+
+async function main() {
+  const rows = await loadBriefRows();
+  const { segments, used } = countSelections(rows);
+  computeBoosts(segments);
+
+  let previous = null;
+  try { previous = JSON.parse(fs.readFileSync(PRIORS_PATH, 'utf8')); } catch (e) { /* first run */ }
+
+  const result = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    briefCount: used,
+    settings: { smoothing: SMOOTHING, boostScale: BOOST_SCALE, maxBoost: MAX_BOOST, minShown: MIN_SHOWN },
+    segments,
+  };
+  const changes = diffPriors(previous?.segments, segments);
+  result.lastChanges = changes.length;
+
+  printReport(result, changes);
+
+  if (dryRun) {
+    console.log('\nDry run — priors file not written.');
+  } else {
+    fs.writeFileSync(PRIORS_PATH, JSON.stringify(result, null, 2) + '\n');
+    console.log(`\nWrote ${path.relative(process.cwd(), PRIORS_PATH)}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Prior learning failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * Fixture Runner
+ *
+ * Shared by the scripts/test-*.js commands. A fixture file is JSON whose keys
+ * are sections, each a list of { input, expect } cases; every section is run
+ * through its own function and the result compared with expect as JSON, so key
+ * order matters. Avoid-list expectations, for example, list genres, artists,
+ * languages, exceptions, intensity and mainstream in the order parseAvoidList
+ * builds them — a case written without "languages" fails.
+ *
+ * runFixtures({ label, fixture, sections }) — label names the cases in the
+ * summary line, fixture is the default path (--fixture overrides it) and
+ * sections maps a section key to the function under test. --verbose prints
+ * every passing case. Sets a non-zero exit code on any mismatch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function runFixtures({ label, fixture: defaultFixture, sections }) {
+  const args = process.argv.slice(2);
+  const argValue = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : null; };
+  const fixtureFile = path.resolve(argValue('--fixture') || defaultFixture);
+  const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+  const named = Object.keys(sections).length > 1;
+
+  const failures = [];
+  let total = 0;
+  for (const [section, run] of Object.entries(sections)) {
+    const prefix = named ? `${section} ` : '';
+    for (const { input, expect } of fixture[section] || []) {
+      total++;
+      const actual = run(input);
+      const ok = JSON.stringify(actual) === JSON.stringify(expect);
+      if (!ok) failures.push(`${prefix}${JSON.stringify(input)}: expected ${JSON.stringify(expect)}, got ${JSON.stringify(actual)}`);
+      else if (args.includes('--verbose')) console.log(`  ok  ${prefix}${JSON.stringify(input)} → ${JSON.stringify(actual)}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    console.log(`FAIL — ${failures.length} of ${total} cases`);
+    for (const f of failures) console.log(`  ${f}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`PASS — ${total} ${label} cases (${path.relative(process.cwd(), fixtureFile)})`);
+  }
+}
+
+module.exports = { runFixtures };
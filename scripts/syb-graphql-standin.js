@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Local SYB GraphQL Stand-in
+ *
+ * Serves the handful of public-API operations scripts/sync-syb-catalog.js
+ * uses (BrowseCategories, CategoryPlaylists, SearchPlaylists, PlaylistById)
+ * from a fixture file, so the sync job can run without touching SYB.
+ * Requests are dispatched on operationName — this is not a GraphQL parser.
+ *
+ * --check starts the stand-in on a free port, runs the sync job against it
+ * with the fixture's catalog and compares the candidate file with the
+ * fixture's "expect" block. Exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/syb-graphql-standin.js                    # listen on :4010
+ *   node scripts/syb-graphql-standin.js --port 4020 --fixture my-fixture.json
+ *   node scripts/syb-graphql-standin.js --check            # run the sync job against it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const args = process.argv.slice(2);
+const argValue = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : null; };
+const fixtureFile = path.resolve(argValue('--fixture') || path.join(__dirname, 'fixtures', 'syb-standin.json'));
+const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+
+const playlistsById = new Map(fixture.playlists.map(p => [p.id, p]));
+const edges = (ids) => ids.map(id => playlistsById.get(id)).filter(Boolean).map(p => ({ node: { id: p.id, name: p.name, description: p.description } }));
+
+const OPERATIONS = {
+  BrowseCategories({ first = 20, after = null }) {
+    const start = after ? parseInt(after, 10) : 0;
+    const page = fixture.categories.slice(start, start + first);
+    const end = start + page.length;
+    return {
+      browseCategories: {
+        edges: page.map(c => ({ node: { id: c.id, name: c.name, slug: c.slug, type: c.type } })),
+        pageInfo: { hasNextPage: end < fixture.categories.length, endCursor: String(end) },
+      },
+    };
+  },
+  CategoryPlaylists({ id, first = 20 }, authorized) {
+    if (fixture.requireAuthForBrowse && !authorized) throw new Error('Not authorized');
+    const category = fixture.categories.find(c => c.id === id);
+    return { browseCategory: category ? { playlists: { edges: edges(category.playlists.slice(0, first)) } } : null };
+  },
+  SearchPlaylists({ query, first = 5 }) {
+    return { search: { edges: edges((fixture.search[query.toLowerCase()] || []).slice(0, first)) } };
+  },
+  PlaylistById({ id }) {
+    const p = playlistsById.get(id);
+    return { playlist: p ? { id: p.id, name: p.name } : null };
+  },
+};
+
+function createStandIn() {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        const { operationName, variables } = JSON.parse(body || '{}');
+        const op = OPERATIONS[operationName];
+        if (!op) throw new Error(`Unsupported operation "${operationName}"`);
+        payload = { data: op(variables || {}, Boolean(req.headers.authorization)) };
+      } catch (err) {
+        payload = { errors: [{ message: err.message }] };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+}
+
+function runSync(url, catalogFile, outputFile) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(__dirname, 'sync-syb-catalog.js'), '--catalog', catalogFile, '--output', outputFile], {
+      env: { ...process.env, SYB_API_URL: url, SOUNDTRACK_API_TOKEN: 'standin', DOTENV_CONFIG_QUIET: 'true' },
+      timeout: 30000,
+    }, (err, stdout, stderr) => (err ? reject(new Error(`${err.message}\n${stderr}`)) : resolve(stdout)));
+  });
+}
+
+function compare(candidate, expect) {
+  const failures = [];
+  const same = (label, actual, expected) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  };
+  const byId = new Map(candidate.playlists.map(p => [p.id, p]));
+  same('added', candidate.sync.added, expect.added);
+  same('renamed', candidate.sync.renamed.map(r => r.id), expect.renamed);
+  same('disappeared', candidate.sync.disappeared.map(d => d.id), expect.disappeared);
+  for (const [id, cats] of Object.entries(expect.addedCategories || {})) same(`${id} categories`, byId.get(id)?.categories, cats);
+  for (const sybId of expect.notAdded || []) {
+    if (candidate.playlists.some(p => p.sybId === sybId)) failures.push(`${sybId} should not be in the candidate`);
+  }
+  return failures;
+}
+
+async function check() {
+  const server = createStandIn();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syb-sync-'));
+  const catalogFile = path.join(dir, 'catalog.json');
+  const outputFile = path.join(dir, 'catalog.candidate.json');
+  fs.writeFileSync(catalogFile, JSON.stringify(fixture.catalog, null, 2));
+
+  try {
+    // Twice: the second run must reuse the ids handed out by the first
+    for (const run of [1, 2]) {
+      const out = await runSync(url, catalogFile, outputFile);
+      if (args.includes('--verbose')) console.log(out);
+      const failures = compare(JSON.parse(fs.readFileSync(outputFile, 'utf8')), fixture.expect);
+      if (failures.length > 0) {
+        console.log(`FAIL (run ${run})`);
+        for (const f of failures) console.log(`  ${f}`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+    console.log(`PASS — sync job against stand-in (${fixture.expect.added.length} added, ${fixture.expect.disappeared.length} disappeared, ids stable across runs)`);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (args.includes('--check')) {
+  check().catch(err => {
+    console.error('Stand-in check failed:', err.message);
+    process.exit(1);
+  });
+} else {
+  const port = parseInt(argValue('--port') || '4010', 10);
+  createStandIn().listen(port, () => console.log(`SYB stand-in listening on http://localhost:${port} (${path.relative(process.cwd(), fixtureFile)})`));
+}
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * SYB Catalog Sync Job
+ *
+ * Walks SYB's browse categories and playlist search, merges editorial
+ * playlists that are not yet in data/syb-playlists.json and writes a
+ * reviewable candidate file next to it. Nothing in the live catalog changes
+ * until someone copies the candidate over it (the server hot-reloads it).
+ *
+ * - New playlists get the next free syb_NNN id. Ids already handed out in a
+ *   previous candidate file are reused for the same sybId, so re-running the
+ *   job doesn't renumber anything under review.
+ * - Catalog playlists not seen in browse/search are looked up by id; the ones
+ *   SYB no longer returns are listed under sync.disappeared (kept in the
+ *   playlist list so the removal is a deliberate review decision).
+ * - Renamed playlists take the new SYB name and are listed under sync.renamed.
+ *
+ * Browsing category playlists needs SOUNDTRACK_API_TOKEN; without it only the
+ * public search is used. SYB_API_URL points the job at another endpoint — see
+ * scripts/syb-graphql-standin.js for the local stand-in used to test it.
+ *
+ * Usage:
+ *   node scripts/sync-syb-catalog.js
+ *   node scripts/sync-syb-catalog.js --catalog data/syb-playlists.json --output /tmp/candidate.json
+ *   node scripts/sync-syb-catalog.js --dry-run                # report only, don't write
+ *   SYB_API_URL=http://localhost:4010 node scripts/sync-syb-catalog.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const SYB_API = process.env.SYB_API_URL || 'https://api.soundtrackyourbrand.com/v2';
+const DEFAULT_CATALOG = path.join(__dirname, '..', 'data', 'syb-playlists.json');
+
+const BROWSE_TYPES = ['business', 'genre', 'energy', 'sound'];
+const PAGE_SIZE = 50;
+const SEARCH_LIMIT = 25;
+const LOOKUP_BATCH = 5;
+
+// Venue-oriented searches; each also hints the catalog category of what it finds
+const SEARCH_TERMS = [
+  'hotel lobby', 'hotel', 'lounge', 'cocktail lounge', 'restaurant', 'fine dining',
+  'bar', 'spa', 'wellness', 'cafe', 'coffee shop', 'retail', 'fashion store',
+];
+
+// Catalog categories (must match CATALOG_CATEGORIES in server.js)
+const CATEGORY_PATTERNS = {
+  hotel: /\bhotel|\blobby/,
+  lounge: /\blounge|\bcocktail|\bchill/,
+  restaurant: /\brestaurant|\bdining|\bdinner|\bbistro|\btrattoria/,
+  bar: /\bbar\b|\bpub\b|\bbars\b/,
+  spa: /\bspa\b|\bwellness|\bmassage|\byoga|\bmeditat/,
+  cafe: /\bcaf[eé]|\bcoffee|\bbakery|\bbrunch/,
+  store: /\bretail|\bstore|\bshopping|\bfashion|\bboutique/,
+};
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const argValue = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : null; };
+const catalogFile = path.resolve(argValue('--catalog') || DEFAULT_CATALOG);
+const outputFile = path.resolve(argValue('--output') || catalogFile.replace(/\.json$/, '.candidate.json'));
+
+async function sybRequest(operationName, query, variables = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.SOUNDTRACK_API_TOKEN) headers['Authorization'] = `Basic ${process.env.SOUNDTRACK_API_TOKEN}`;
+  const res = await fetch(SYB_API, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ operationName, query, variables }),
+  });
+  const json = await res.json();
+  if (json.errors) throw new Error(json.errors[0].message);
+  return json.data;
+}
+
+async function fetchBrowseCategories() {
+  const categories = [];
+  let after = null;
+  do {
+    const data = await sybRequest('BrowseCategories', `
+      query BrowseCategories($first: Int, $after: String) {
+        browseCategories(first: $first, after: $after) {
+          edges { node { id name slug type } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { first: PAGE_SIZE, after });
+    const conn = data?.browseCategories;
+    categories.push(...(conn?.edges || []).map(e => e.node));
+    after = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (after);
+  return categories.filter(c => BROWSE_TYPES.includes(c.type));
+}
+
+async function fetchCategoryPlaylists(category) {
+  const data = await sybRequest('CategoryPlaylists', `
+    query CategoryPlaylists($id: ID!, $first: Int) {
+      browseCategory(id: $id) {
+        playlists(first: $first) {
+          edges { node { ... on Playlist { id name description } } }
+        }
+      }
+    }
+  `, { id: category.id, first: PAGE_SIZE });
+  return (data?.browseCategory?.playlists?.edges || []).map(e => e.node).filter(p => p?.id);
+}
+
+async function searchPlaylists(term) {
+  const data = await sybRequest('SearchPlaylists', `
+    query SearchPlaylists($query: String!, $first: Int) {
+      search(query: $query, type: playlist, first: $first) {
+        edges { node { ... on Playlist { id name description } } }
+      }
+    }
+  `, { query: term, first: SEARCH_LIMIT });
+  return (data?.search?.edges || []).map(e => e.node).filter(p => p?.id);
+}
+
+// 'alive' with the current name, 'gone' when SYB returns nothing, 'unknown' on errors
+async function lookupPlaylist(sybId) {
+  try {
+    const data = await sybRequest('PlaylistById', `
+      query PlaylistById($id: ID!) {
+        playlist(id: $id) { id name }
+      }
+    `, { id: sybId });
+    return data?.playlist ? { status: 'alive', name: data.playlist.name } : { status: 'gone' };
+  } catch (err) {
+    return { status: 'unknown', error: err.message };
+  }
+}
+
+function categoriesFor(text) {
+  const lower = text.toLowerCase();
+  return Object.entries(CATEGORY_PATTERNS).filter(([, re]) => re.test(lower)).map(([cat]) => cat);
+}
+
+// Collect every playlist SYB surfaces, keyed by sybId, with the contexts it was found in
+async function discover() {
+  const found = new Map();
+  const note = (p, context) => {
+    const entry = found.get(p.id) || { sybId: p.id, name: p.name, description: p.description || '', contexts: new Set() };
+    entry.contexts.add(context);
+    found.set(p.id, entry);
+  };
+
+  let browsed = 0;
+  if (process.env.SOUNDTRACK_API_TOKEN) {
+    try {
+      for (const category of await fetchBrowseCategories()) {
+        try {
+          for (const p of await fetchCategoryPlaylists(category)) note(p, category.name);
+          browsed++;
+        } catch (err) {
+          console.log(`[Sync] Browse "${category.name}" failed (skipped):`, err.message);
+        }
+      }
+    } catch (err) {
+      console.log('[Sync] Browse categories failed (search only):', err.message);
+    }
+  } else {
+    console.log('[Sync] SOUNDTRACK_API_TOKEN not set — browse skipped, search only.');
+  }
+
+  for (const term of SEARCH_TERMS) {
+    try {
+      for (const p of await searchPlaylists(term)) note(p, term);
+    } catch (err) {
+      console.log(`[Sync] Search "${term}" failed (skipped):`, err.message);
+    }
+  }
+  return { found, browsed };
+}
+
+function nextIdFactory(usedIds) {
+  let max = 0;
+  for (const id of usedIds) {
+    const m = /^syb_(\d+)$/.exec(id);
+    if (m) max = Math.max(max, parseInt(m[1], 10));
+  }
+  return () => `syb_${String(++max).padStart(3, '0')}`;
+}
+
+function bumpPatch(version) {
+  const parts = String(version || '1.0.0').split('.').map(n => parseInt(n, 10) || 0);
+  while (parts.length < 3) parts.push(0);
+  parts[2]++;
+  return parts.join('.');
+}
+
+async function main() {
+  const catalog = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+  let previous = null;
+  try { previous = JSON.parse(fs.readFileSync(outputFile, 'utf8')); } catch (e) { /* first run */ }
+
+  const { found, browsed } = await discover();
+  console.log(`[Sync] ${found.size} playlists found (${browsed} categories browsed, ${SEARCH_TERMS.length} searches)`);
+
+  const bySybId = new Map(catalog.playlists.map(p => [p.sybId, p]));
+  const previousIds = new Map((previous?.playlists || []).map(p => [p.sybId, p.id]));
+  const usedIds = new Set([...catalog.playlists.map(p => p.id), ...previousIds.values()]);
+  const nextId = nextIdFactory(usedIds);
+
+  // Existing playlists: keep curated fields, follow renames
+  const renamed = [];
+  const playlists = catalog.playlists.map(p => {
+    const live = found.get(p.sybId);
+    if (live && live.name && live.name !== p.name) {
+      renamed.push({ id: p.id, from: p.name, to: live.name });
+      return { ...p, name: live.name };
+    }
+    return { ...p };
+  });
+
+  // Unseen catalog playlists: confirm by id before flagging
+  const unseen = catalog.playlists.filter(p => !found.has(p.sybId));
+  const disappeared = [];
+  const unverified = [];
+  for (let i = 0; i < unseen.length; i += LOOKUP_BATCH) {
+    const batch = unseen.slice(i, i + LOOKUP_BATCH);
+    const results = await Promise.all(batch.map(p => lookupPlaylist(p.sybId)));
+    batch.forEach((p, j) => {
+      if (results[j].status === 'alive' && results[j].name && results[j].name !== p.name) {
+        renamed.push({ id: p.id, from: p.name, to: results[j].name });
+        playlists.find(q => q.id === p.id).name = results[j].name;
+      } else if (results[j].status === 'gone') disappeared.push({ id: p.id, name: p.name, sybId: p.sybId });
+      else if (results[j].status === 'unknown') unverified.push({ id: p.id, name: p.name, error: results[j].error });
+    });
+  }
+
+  // New playlists, in a stable order so fresh ids don't depend on API ordering
+  const added = [];
+  const fresh = [...found.values()].filter(p => !bySybId.has(p.sybId)).sort((a, b) => a.sybId.localeCompare(b.sybId));
+  for (const p of fresh) {
+    const id = previousIds.get(p.sybId) || nextId();
+    const categories = categoriesFor(`${[...p.contexts].join(' ')} ${p.name} ${p.description}`);
+    playlists.push({ id, name: p.name, description: p.description, categories, sybId: p.sybId });
+    added.push({ id, name: p.name, categories, foundIn: [...p.contexts] });
+  }
+  playlists.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+  const candidate = {
+    version: bumpPatch(catalog.version),
+    lastUpdated: new Date().toISOString().slice(0, 10),
+    urlFormat: catalog.urlFormat,
+    playlists,
+    sync: {
+      generatedAt: new Date().toISOString(),
+      source: SYB_API,
+      baseVersion: catalog.version,
+      added: added.map(a => a.id),
+      renamed,
+      disappeared,
+      unverified: unverified.map(u => u.id),
+      uncategorized: added.filter(a => a.categories.length === 0).map(a => a.id),
+    },
+  };
+
+  console.log(`\nCatalog sync — ${catalog.playlists.length} → ${playlists.length} playlists\n`);
+  console.log(`Added (${added.length}):`);
+  for (const a of added) console.log(`  ${a.id.padEnd(9)} ${a.name} [${a.categories.join(', ') || 'needs category'}] ← ${a.foundIn.join(', ')}`);
+  console.log(`\nRenamed (${renamed.length}):`);
+  for (const r of renamed) console.log(`  ${r.id.padEnd(9)} "${r.from}" → "${r.to}"`);
+  console.log(`\nDisappeared from SYB (${disappeared.length}):`);
+  for (const d of disappeared) console.log(`  ${d.id.padEnd(9)} ${d.name}`);
+  if (unverified.length > 0) {
+    console.log(`\nCould not verify (${unverified.length}): ${unverified.map(u => u.id).join(', ')} — ${unverified[0].error}`);
+  }
+
+  if (dryRun) {
+    console.log('\nDry run — candidate file not written.');
+  } else {
+    fs.writeFileSync(outputFile, JSON.stringify(candidate, null, 2) + '\n');
+    console.log(`\nWrote ${path.relative(process.cwd(), outputFile)} — review, then copy over ${path.basename(catalogFile)}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Catalog sync failed:', err.message);
+  process.exit(1);
+});
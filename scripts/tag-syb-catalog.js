@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * SYB Catalog Tagger
+ *
+ * Fills the `tags` block of each playlist in data/syb-playlists.json — genre,
+ * mood, energy (1-10), BPM and vocals — so the SYB matcher can score BPM,
+ * mood and vocal fit the way Beat Breeze does from track metadata.
+ *
+ * Rules first: keyword tables over name + description. Playlists the rules
+ * can't place (no genre keyword) are listed as low confidence; with --ai they
+ * are sent to Claude in batches and the answers replace the rule guesses.
+ * Tags marked source "manual" are never touched; "rules"/"ai" tags are only
+ * redone with --force.
+ *
+ * The server hot-reloads the catalog, so a written file goes live on the next
+ * match (after validation).
+ *
+ * Usage:
+ *   node scripts/tag-syb-catalog.js                       # rule-based, untagged playlists only
+ *   node scripts/tag-syb-catalog.js --force               # retag everything except manual tags
+ *   ANTHROPIC_API_KEY=... node scripts/tag-syb-catalog.js --ai
+ *   node scripts/tag-syb-catalog.js --only syb_001,syb_014 --dry-run
+ *   node scripts/tag-syb-catalog.js --catalog other.json --output tagged.json
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG = path.join(__dirname, '..', 'data', 'syb-playlists.json');
+const AI_BATCH = 20;
+
+// Must match CATALOG_MOODS / CATALOG_VOCALS in server.js
+const MOODS = [
+  'calm', 'peaceful', 'dreamy', 'mellow', 'warm', 'romantic', 'sophisticated',
+  'uplifting', 'groovy', 'upbeat', 'cheerful', 'lively', 'energetic', 'festive', 'melancholic',
+];
+const VOCALS = ['instrumental', 'mostly-instrumental', 'vocal'];
+
+// First match wins. bpm is the genre's typical tempo at energy 5; energy is the
+// genre's default when no mood word says otherwise.
+const GENRE_RULES = [
+  { re: /\b(?:deep house|house|techno|electronic|edm|nu disco|disco|electro)\b/, genre: 'electronic', bpm: 122, energy: 7 },
+  { re: /\b(?:lo-?fi|lo fi|chillhop)\b/, genre: 'lofi', bpm: 80, energy: 3 },
+  { re: /\b(?:ambient|meditation|zen|soundscapes?|(?:nature|rain|water|ocean|jungle|forest) sounds|massage|reiki|yoga|vinyasa|hatha|singing bowls|tibetan bowls|healing)\b/, genre: 'ambient', bpm: 70, energy: 2 },
+  { re: /\b(?:jazz|swing|bebop|big band)\b/, genre: 'jazz', bpm: 100, energy: 4 },
+  { re: /\b(?:bossa|brazil\w*|samba|mpb)\b/, genre: 'bossa-nova', bpm: 112, energy: 5 },
+  { re: /\b(?:latin|salsa|reggaeton|tango|cumbia|flamenco)\b/, genre: 'latin', bpm: 105, energy: 7 },
+  { re: /\b(?:afro\w*|amapiano|highlife)\b/, genre: 'afro', bpm: 112, energy: 7 },
+  { re: /\bblues\b/, genre: 'blues', bpm: 88, energy: 4 },
+  { re: /\b(?:soul|r&b|rnb|funk\w*|motown|neo-soul)\b/, genre: 'soul', bpm: 98, energy: 5 },
+  { re: /\b(?:classical|orchestra\w*|baroque|strings|symphon\w*|piano|cello|chamber)\b/, genre: 'classical', bpm: 78, energy: 3 },
+  { re: /\b(?:lounge|chill ?out|downtempo|trip-?hop)\b/, genre: 'lounge', bpm: 100, energy: 4 },
+  { re: /\b(?:acoustic|folk|singer-songwriter|unplugged)\b/, genre: 'acoustic', bpm: 95, energy: 4 },
+  { re: /\b(?:reggae|dub|ska|island|caribbean|tropical)\b/, genre: 'reggae', bpm: 90, energy: 5 },
+  { re: /\b(?:country|americana|bluegrass)\b/, genre: 'country', bpm: 100, energy: 5 },
+  { re: /\bindie\b/, genre: 'indie', bpm: 112, energy: 6 },
+  { re: /\b(?:rock|grunge|punk)\b/, genre: 'rock', bpm: 120, energy: 7 },
+  { re: /\b(?:pop|hits|chart\w*|top 40)\b/, genre: 'pop', bpm: 115, energy: 6 },
+  { re: /\b(?:world|asian|thai|indian|arabic|mediterranean|italian|french|spanish|greek|mexican|cuban|hawaii\w*|japanese|chinese|k-pop)\b/, genre: 'world', bpm: 100, energy: 5 },
+];
+
+const MOOD_RULES = [
+  { re: /\b(?:christmas|xmas|festive|celebrat\w*|holiday)\b/, mood: 'festive', energy: 6 },
+  { re: /\b(?:party|dance\w*|club|energetic|workout|high energy|pump\w*)\b/, mood: 'energetic', energy: 8 },
+  { re: /\b(?:romantic|intimate|love|date night|candle\w*)\b/, mood: 'romantic', energy: 4 },
+  { re: /\b(?:groov\w*|funky|disco)\b/, mood: 'groovy', energy: 6 },
+  { re: /\b(?:upbeat|happy|feel-?good|sunny|fun|cheerful|bright|summer)\b/, mood: 'upbeat', energy: 7 },
+  { re: /\b(?:uplifting|inspir\w*|positive)\b/, mood: 'uplifting', energy: 6 },
+  { re: /\b(?:melanchol\w*|sad|heartbreak|rainy)\b/, mood: 'melancholic', energy: 3 },
+  { re: /\b(?:dream\w*|ethereal|floating)\b/, mood: 'dreamy', energy: 3 },
+  { re: /\b(?:calm|peaceful|zen|meditat\w*|relax\w*|soothing|tranquil|serene|spa)\b/, mood: 'calm', energy: 2 },
+  { re: /\b(?:elegant|sophisticat\w*|refined|classy|luxur\w*|grand|dandy|upscale|polished)\b/, mood: 'sophisticated', energy: 4 },
+  { re: /\b(?:warm|cozy|cosy|homely|inviting)\b/, mood: 'warm', energy: 4 },
+  { re: /\b(?:mellow|laid-?back|easy|soft|gentle|chill\w*|low-?key|smooth)\b/, mood: 'mellow', energy: 4 },
+  { re: /\b(?:lively|vibrant|buzz\w*|busy)\b/, mood: 'lively', energy: 7 },
+];
+
+const INSTRUMENTAL_RE = /\b(?:instrumental\w*|piano|ambient|classical|strings|orchestra\w*|nature sounds?|no vocals|soundscapes?|guitar covers)\b/;
+const MOSTLY_INSTRUMENTAL_RE = /\b(?:mostly instrumental|jazz trio|lounge|downtempo|lo-?fi|chillhop|bossa)\b/;
+const VOCAL_RE = /\b(?:vocals?|voices|vocalists?|singers?|singer-songwriter|sing-?along|ballads?|hits|songs|crooners?|divas?)\b/;
+
+const args = process.argv.slice(2);
+const argValue = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : null; };
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+const useAi = args.includes('--ai');
+const only = argValue('--only') ? new Set(argValue('--only').split(',').map(s => s.trim())) : null;
+const catalogFile = path.resolve(argValue('--catalog') || DEFAULT_CATALOG);
+const outputFile = path.resolve(argValue('--output') || catalogFile);
+
+function ruleTags(p) {
+  const text = `${p.name} ${p.description || ''}`.toLowerCase();
+  const genreRule = GENRE_RULES.find(r => r.re.test(text));
+  const moodRule = MOOD_RULES.find(r => r.re.test(text));
+
+  const energy = moodRule && genreRule ? Math.round((moodRule.energy + genreRule.energy) / 2)
+    : (moodRule?.energy || genreRule?.energy || 5);
+  const bpm = Math.max(50, Math.min(170, (genreRule?.bpm || 105) + (energy - 5) * 4));
+  const vocals = INSTRUMENTAL_RE.test(text) && !VOCAL_RE.test(text) ? 'instrumental'
+    : MOSTLY_INSTRUMENTAL_RE.test(text) && !VOCAL_RE.test(text) ? 'mostly-instrumental'
+    : VOCAL_RE.test(text) || ['pop', 'rock', 'indie', 'soul', 'acoustic'].includes(genreRule?.genre) ? 'vocal'
+    : undefined;
+
+  // Tempo is only guessed from a genre; energy needs at least a genre or a mood word
+  const tags = {};
+  if (genreRule) tags.genre = genreRule.genre;
+  if (moodRule) tags.mood = moodRule.mood;
+  if (genreRule || moodRule) tags.energy = energy;
+  if (genreRule) tags.bpm = bpm;
+  if (vocals) tags.vocals = vocals;
+  tags.source = 'rules';
+  return { tags, confident: Boolean(genreRule) };
+}
+
+// Ask Claude for tags on a batch of playlists; invalid answers are dropped field by field
+async function aiTags(playlists) {
+  const Anthropic = require('@anthropic-ai/sdk');
+  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  const response = await anthropic.messages.create({
+    model: process.env.AI_MODEL || 'claude-sonnet-4-6',
+    max_tokens: 4096,
+    system: 'You tag background-music playlists for hotels, restaurants, bars, spas, cafes and shops. Judge from the playlist name and description only; pick the closest value from each list.',
+    tools: [{
+      name: 'submit_tags',
+      description: 'Tags for each playlist, in the order given',
+      input_schema: {
+        type: 'object',
+        properties: {
+          playlists: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                genre: { type: 'string', description: 'Main genre, lowercase (e.g. jazz, bossa-nova, lounge, electronic, classical, ambient, pop, soul, latin, world)' },
+                mood: { type: 'string', enum: MOODS },
+                energy: { type: 'integer', minimum: 1, maximum: 10 },
+                bpm: { type: 'integer', minimum: 40, maximum: 200, description: 'Typical tempo of the tracks' },
+                vocals: { type: 'string', enum: VOCALS },
+              },
+              required: ['id', 'genre', 'mood', 'energy', 'bpm', 'vocals'],
+            },
+          },
+        },
+        required: ['playlists'],
+      },
+    }],
+    tool_choice: { type: 'tool', name: 'submit_tags' },
+    messages: [{
+      role: 'user',
+      content: JSON.stringify(playlists.map(p => ({ id: p.id, name: p.name, description: p.description || '' }))),
+    }],
+  });
+
+  const block = response.content.find(b => b.type === 'tool_use');
+  const result = new Map();
+  for (const t of block?.input?.playlists || []) {
+    const tags = {};
+    if (typeof t.genre === 'string' && t.genre.trim()) tags.genre = t.genre.trim().toLowerCase();
+    if (MOODS.includes(t.mood)) tags.mood = t.mood;
+    if (Number.isInteger(t.energy) && t.energy >= 1 && t.energy <= 10) tags.energy = t.energy;
+    if (Number.isInteger(t.bpm) && t.bpm >= 40 && t.bpm <= 200) tags.bpm = t.bpm;
+    if (VOCALS.includes(t.vocals)) tags.vocals = t.vocals;
+    tags.source = 'ai';
+    result.set(t.id, tags);
+  }
+  return result;
+}
+
+async function main() {
+  const catalog = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+  const targets = catalog.playlists.filter(p => {
+    if (only && !only.has(p.id)) return false;
+    if (p.tags?.source === 'manual') return false;
+    return force || !p.tags;
+  });
+
+  const lowConfidence = [];
+  for (const p of targets) {
+    const { tags, confident } = ruleTags(p);
+    p.tags = tags;
+    if (!confident) lowConfidence.push(p);
+  }
+
+  let aiTagged = 0;
+  if (useAi && lowConfidence.length > 0) {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      console.error('--ai needs ANTHROPIC_API_KEY; keeping rule-based tags.');
+    } else {
+      for (let i = 0; i < lowConfidence.length; i += AI_BATCH) {
+        const batch = lowConfidence.slice(i, i + AI_BATCH);
+        try {
+          const answers = await aiTags(batch);
+          for (const p of batch) {
+            const tags = answers.get(p.id);
+            if (tags && Object.keys(tags).length > 1) {
+              p.tags = { ...p.tags, ...tags };
+              aiTagged++;
+            }
+          }
+        } catch (err) {
+          console.error(`AI batch ${i / AI_BATCH + 1} failed (keeping rule tags):`, err.message);
+        }
+      }
+    }
+  }
+
+  const count = (key) => {
+    const c = {};
+    for (const p of targets) { const v = p.tags[key] || '—'; c[v] = (c[v] || 0) + 1; }
+    return Object.entries(c).sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} ${n}`).join(', ');
+  };
+  console.log(`\nTagged ${targets.length} of ${catalog.playlists.length} playlists (${aiTagged} via AI)\n`);
+  if (targets.length > 0) {
+    console.log(`  genre:  ${count('genre')}`);
+    console.log(`  mood:   ${count('mood')}`);
+    console.log(`  vocals: ${count('vocals')}`);
+  }
+  const stillUnsure = lowConfidence.filter(p => p.tags.source === 'rules');
+  if (stillUnsure.length > 0) {
+    console.log(`\nLow confidence — no genre keyword (${stillUnsure.length}); review or rerun with --ai:`);
+    for (const p of stillUnsure.slice(0, 30)) console.log(`  ${p.id.padEnd(9)} ${p.name}`);
+    if (stillUnsure.length > 30) console.log(`  … and ${stillUnsure.length - 30} more`);
+  }
+
+  if (dryRun) {
+    console.log('\nDry run — catalog not written.');
+    return;
+  }
+  catalog.lastUpdated = new Date().toISOString().slice(0, 10);
+  fs.writeFileSync(outputFile, JSON.stringify(catalog, null, 2) + '\n');
+  console.log(`\nWrote ${path.relative(process.cwd(), outputFile)}`);
+}
+
+main().catch(err => {
+  console.error('Tagging failed:', err.message);
+  process.exit(1);
+});
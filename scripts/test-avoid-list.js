@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Avoid-List Fixtures
+ *
+ * Runs every case in scripts/fixtures/avoid-list.json through avoid-list.js and
+ * compares the parsed spec (genres, artists, languages, exceptions, intensity,
+ * mainstream) — raw is left out. Exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/test-avoid-list.js
+ *   node scripts/test-avoid-list.js --fixture my-cases.json --verbose
+ */
+
+const path = require('path');
+const { parseAvoidList } = require('../avoid-list');
+const { runFixtures } = require('./run-fixtures');
+
+runFixtures({
+  label: 'avoid-list',
+  fixture: path.join(__dirname, 'fixtures', 'avoid-list.json'),
+  sections: {
+    cases: input => {
+      const { raw, ...spec } = parseAvoidList(input);
+      return spec;
+    },
+  },
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Time Parsing Fixtures
+ *
+ * Runs every case in scripts/fixtures/time-parsing.json through time-parsing.js:
+ * single times (parseTimeOfDay), ranges (parseTimeRange — start, end, overnight
+ * and length), opening windows (parseOpeningWindows) and day groups
+ * (parseWeeklyHours — days as "MO,TU", null for plain daily hours). Times in the fixture
+ * are "HH:MM"; "24:00" is the end of the day, null means "doesn't parse".
+ * Exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/test-time-parsing.js
+ *   node scripts/test-time-parsing.js --fixture my-cases.json --verbose
+ */
+
+const path = require('path');
+const { parseTimeOfDay, parseTimeRange, parseOpeningWindows, parseWeeklyHours, rangeMinutes, timeLabel } = require('../time-parsing');
+const { runFixtures } = require('./run-fixtures');
+
+const clock = mins => (mins === 1440 ? '24:00' : timeLabel(mins));
+
+const SECTIONS = {
+  times: input => {
+    const mins = parseTimeOfDay(input);
+    return mins === null ? null : clock(mins);
+  },
+  ranges: input => {
+    const range = parseTimeRange(input);
+    return range ? { start: timeLabel(range.start), end: timeLabel(range.end), overnight: range.overnight, minutes: rangeMinutes(range) } : null;
+  },
+  windows: input => parseOpeningWindows(input).map(w => `${timeLabel(w.start)}-${timeLabel(w.end)}`),
+  weekly: input => {
+    const groups = parseWeeklyHours(input);
+    return groups ? groups.map(g => ({ days: g.days.join(','), hours: g.hours })) : null;
+  },
+};
+
+runFixtures({
+  label: 'time parsing',
+  fixture: path.join(__dirname, 'fixtures', 'time-parsing.json'),
+  sections: SECTIONS,
+});
@@ -7,15 +7,148 @@ const fs = require('fs');
 const dns = require('dns');
 const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
+const { parseTimeRange, parseOpeningWindows, parseWeeklyHours, rangeMinutes, timeLabel, sybTimeLabel, WEEKDAY_CODES, WEEKDAY_SHORT } = require('./time-parsing');
+const { parseAvoidList, hasAvoidRules, describeAvoidSpec, avoidTermCoveredByException } = require('./avoid-list');
 
 dns.setDefaultResultOrder('ipv4first');
 
 // ---------------------------------------------------------------------------
 // SYB Playlist Catalog & AI Client
 // ---------------------------------------------------------------------------
-const PLAYLIST_CATALOG = JSON.parse(
-  fs.readFileSync(path.join(__dirname, 'data', 'syb-playlists.json'), 'utf8')
-).playlists;
+// data/syb-playlists.json is validated on load and re-read when its mtime
+// changes. A file that fails validation is refused and the last good catalog
+// stays live; each accepted reload logs the playlists added, removed or changed.
+const PLAYLIST_CATALOG_PATH = path.join(__dirname, 'data', 'syb-playlists.json');
+const CATALOG_CATEGORIES = ['hotel', 'lounge', 'restaurant', 'bar', 'spa', 'cafe', 'store'];
+// Tag vocabularies shared with Beat Breeze track metadata (scripts/tag-syb-catalog.js fills them)
+const CATALOG_MOODS = [
+  'calm', 'peaceful', 'dreamy', 'mellow', 'warm', 'romantic', 'sophisticated',
+  'uplifting', 'groovy', 'upbeat', 'cheerful', 'lively', 'energetic', 'festive', 'melancholic',
+];
+const CATALOG_VOCALS = ['instrumental', 'mostly-instrumental', 'vocal'];
+const CATALOG_PLAYLIST_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^syb_\d{3,}$/ },
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+  categories: { type: 'array', required: true, values: CATALOG_CATEGORIES },
+  sybId: { type: 'string', required: true },
+  tags: {
+    type: 'object',
+    fields: {
+      genre: { type: 'string' },
+      mood: { type: 'string', values: CATALOG_MOODS },
+      energy: { type: 'number', min: 1, max: 10 },
+      bpm: { type: 'number', min: 40, max: 200 },
+      vocals: { type: 'string', values: CATALOG_VOCALS },
+      source: { type: 'string', values: ['rules', 'ai', 'manual'] },
+    },
+  },
+};
+let PLAYLIST_CATALOG = [];
+let playlistCatalogMtime = 0;
+
+function checkSchemaFields(label, obj, schema, errors, prefix = '') {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = obj[field];
+    const name = `${prefix}${field}`;
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push(`${label}: missing ${name}`);
+      continue;
+    }
+    const typeOk = rule.type === 'array' ? Array.isArray(value)
+      : rule.type === 'object' ? typeof value === 'object' && !Array.isArray(value)
+      : rule.type === 'number' ? Number.isFinite(value)
+      : typeof value === rule.type;
+    if (!typeOk) {
+      errors.push(`${label}: ${name} must be ${rule.type === 'array' || rule.type === 'object' ? `an ${rule.type}` : `a ${rule.type}`}`);
+      continue;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) errors.push(`${label}: malformed ${name} "${value}"`);
+    if (rule.values) {
+      for (const v of [].concat(value)) if (!rule.values.includes(v)) errors.push(`${label}: unknown ${name.replace(/ies$/, 'y')} "${v}"`);
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      errors.push(`${label}: ${name} ${value} outside ${rule.min}–${rule.max}`);
+    }
+    if (rule.fields) checkSchemaFields(label, value, rule.fields, errors, `${name}.`);
+  }
+  for (const field of Object.keys(obj)) {
+    if (!schema[field]) errors.push(`${label}: unknown field ${prefix}${field}`);
+  }
+}
+
+// Returns a list of problems ("syb_012: unknown category \"gym\""); empty when valid
+function validatePlaylistCatalog(file) {
+  if (!file || !Array.isArray(file.playlists)) return ['playlists must be an array'];
+  const errors = [];
+  const ids = new Set();
+  const sybIds = new Set();
+  file.playlists.forEach((p, i) => {
+    const label = typeof p?.id === 'string' ? p.id : `#${i}`;
+    if (!p || typeof p !== 'object' || Array.isArray(p)) {
+      errors.push(`${label}: not an object`);
+      return;
+    }
+    checkSchemaFields(label, p, CATALOG_PLAYLIST_SCHEMA, errors);
+    if (ids.has(p.id)) errors.push(`${label}: duplicate id`);
+    ids.add(p.id);
+    if (p.sybId && sybIds.has(p.sybId)) errors.push(`${label}: duplicate sybId`);
+    sybIds.add(p.sybId);
+  });
+  return errors;
+}
+
+function diffPlaylistCatalog(previous, next) {
+  const before = new Map(previous.map(p => [p.id, p]));
+  const after = new Map(next.map(p => [p.id, p]));
+  const added = next.filter(p => !before.has(p.id)).map(p => p.id);
+  const removed = previous.filter(p => !after.has(p.id)).map(p => p.id);
+  const changed = [];
+  for (const p of next) {
+    const old = before.get(p.id);
+    if (!old) continue;
+    const fields = Object.keys(CATALOG_PLAYLIST_SCHEMA).filter(f => JSON.stringify(old[f]) !== JSON.stringify(p[f]));
+    if (fields.length > 0) changed.push({ id: p.id, fields });
+  }
+  return { added, removed, changed };
+}
+
+function loadPlaylistCatalog() {
+  let mtime;
+  try {
+    mtime = fs.statSync(PLAYLIST_CATALOG_PATH).mtimeMs;
+  } catch (err) {
+    if (PLAYLIST_CATALOG.length === 0) throw err;
+    return PLAYLIST_CATALOG;
+  }
+  if (mtime === playlistCatalogMtime) return PLAYLIST_CATALOG;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(PLAYLIST_CATALOG_PATH, 'utf8'));
+    const errors = validatePlaylistCatalog(parsed);
+    if (errors.length > 0) throw new Error(`${errors.length} validation error(s): ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? '; …' : ''}`);
+    if (PLAYLIST_CATALOG.length > 0) {
+      const { added, removed, changed } = diffPlaylistCatalog(PLAYLIST_CATALOG, parsed.playlists);
+      console.log(`[Catalog] Reloaded v${parsed.version}: ${parsed.playlists.length} playlists (+${added.length} −${removed.length} ~${changed.length})`);
+      if (added.length > 0) console.log(`[Catalog]   added: ${added.join(', ')}`);
+      if (removed.length > 0) console.log(`[Catalog]   removed: ${removed.join(', ')}`);
+      for (const c of changed.slice(0, 20)) console.log(`[Catalog]   changed: ${c.id} (${c.fields.join(', ')})`);
+      if (changed.length > 20) console.log(`[Catalog]   … and ${changed.length - 20} more changed`);
+    }
+    // Swap in a fresh array — callers holding the previous one keep a consistent view
+    PLAYLIST_CATALOG = parsed.playlists;
+    playlistCatalogMtime = mtime;
+  } catch (err) {
+    if (PLAYLIST_CATALOG.length === 0) throw err;
+    // Forget the mtime so a half-written file is read again once it's complete
+    console.error('[Catalog] Reload refused, keeping previous version:', err.message);
+    playlistCatalogMtime = 0;
+  }
+  return PLAYLIST_CATALOG;
+}
+loadPlaylistCatalog();
+// Reload as soon as the file changes instead of on the next request that reads it.
+// watchFile polls, so it survives editors that save by renaming a new file into place.
+fs.watchFile(PLAYLIST_CATALOG_PATH, { interval: 2000 }, () => loadPlaylistCatalog()).unref();
 
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const AI_MODEL = process.env.AI_MODEL || 'claude-sonnet-4-6';
@@ -140,6 +273,25 @@ if (pool) {
     ALTER TABLE design_users ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT FALSE;
     CREATE INDEX IF NOT EXISTS idx_design_users_token ON design_users(session_token);
     CREATE INDEX IF NOT EXISTS idx_design_users_email ON design_users(email);
+
+    CREATE TABLE IF NOT EXISTS design_conversations (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES design_users(id),
+      mode VARCHAR(20),
+      product VARCHAR(20) DEFAULT 'syb',
+      language VARCHAR(10),
+      turns JSONB DEFAULT '[]'::jsonb,
+      tool_calls JSONB DEFAULT '[]'::jsonb,
+      extracted_brief JSONB,
+      last_recommendations JSONB,
+      pending_tool_use JSONB,
+      status VARCHAR(20) DEFAULT 'active',
+      brief_id INTEGER REFERENCES briefs(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_design_conversations_user ON design_conversations(user_id, updated_at DESC);
+    ALTER TABLE briefs ADD COLUMN IF NOT EXISTS conversation_id INTEGER;
   `).then(() => console.log('Database tables ready'))
     .catch(err => console.error('Database init error:', err.message));
 }
@@ -201,6 +353,15 @@ const recommendLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Design team tools (scoring comparison, custom Beat Breeze playlists)
+const designToolsLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 60,
+  message: { error: 'Too many design tool requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // ---------------------------------------------------------------------------
 // Vibe-to-genre mapping
 // ---------------------------------------------------------------------------
@@ -245,27 +406,63 @@ const DEFAULT_DAYPARTS = [
   { key: 'evening', label: 'Evening', timeRange: 'dinner-close', icon: 'moon' },
 ];
 
-function parseTime(str) {
-  str = str.trim().toLowerCase();
-  const ampm = str.match(/(am|pm)$/);
-  str = str.replace(/(am|pm)$/, '').trim().replace('.', ':');
-  let hours, minutes = 0;
-  if (str.includes(':')) {
-    [hours, minutes] = str.split(':').map(Number);
-  } else {
-    hours = parseInt(str, 10);
-    if (hours >= 100) { minutes = hours % 100; hours = Math.floor(hours / 100); }
-  }
-  if (ampm) {
-    if (ampm[1] === 'pm' && hours !== 12) hours += 12;
-    if (ampm[1] === 'am' && hours === 12) hours = 0;
-  }
-  return hours * 60 + (minutes || 0);
+// Energy curves: how energy moves through the opening hours, as offsets from the
+// brief's base energy at evenly spaced points from opening (first) to close (last).
+// A daypart takes the curve's value at its midpoint.
+const ENERGY_CURVES = {
+  'flat':         { label: 'Flat', description: 'Steady energy all day', points: [0, 0, 0, 0, 0] },
+  'build-up':     { label: 'Build-up', description: 'Starts low and rises towards closing', points: [-2, -2, 0, 1, 1] },
+  'inverted-u':   { label: 'Inverted-U', description: 'Rises to a midday peak, then eases off', points: [-2, 0, 1, 0, -2] },
+  'late-peak':    { label: 'Late peak', description: 'Quiet for most of the day, peaks near closing', points: [-2, -2, -1, 0, 2] },
+  'morning-peak': { label: 'Morning peak', description: 'Highest early, winds down through the day', points: [1, 2, 0, -1, -2] },
+};
+
+const VENUE_ENERGY_CURVES = {
+  'hotel-lobby':    'inverted-u',
+  'restaurant':     'build-up',
+  'bar-lounge':     'late-peak',
+  'spa-wellness':   'flat',
+  'fashion-retail': 'inverted-u',
+  'cafe':           'morning-peak',
+  'gym-fitness':    'morning-peak',
+  'pool-beach':     'inverted-u',
+  'qsr':            'inverted-u',
+  'coworking':      'flat',
+};
+const DEFAULT_ENERGY_CURVE = 'build-up';
+const ENERGY_CURVE_SOURCES = ['ai', 'venue-default'];
+
+/**
+ * The brief's energy curve: { template, label, points, intensity, source }.
+ * `raw` is a template name or { template, points, intensity } from the AI —
+ * points (5 offsets, -4..4) replace the template's shape, intensity (0.5-2)
+ * stretches it. Anything unrecognised falls back to the venue type's default.
+ * An already resolved curve passes through unchanged, source included.
+ */
+function resolveEnergyCurve(raw, venueType = '') {
+  const input = typeof raw === 'string' ? { template: raw } : (raw && typeof raw === 'object' ? raw : {});
+  const requested = String(input.template || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+  const template = ENERGY_CURVES[requested] ? requested : (VENUE_ENERGY_CURVES[venueType] || DEFAULT_ENERGY_CURVE);
+  const custom = Array.isArray(input.points) && input.points.length === 5 && input.points.every(p => Number.isFinite(Number(p)));
+  const intensity = Number.isFinite(Number(input.intensity)) && input.intensity !== null && input.intensity !== ''
+    ? clamp(Math.round(Number(input.intensity) * 100) / 100, 0.5, 2)
+    : 1;
+  return {
+    template,
+    label: ENERGY_CURVES[template].label,
+    points: custom ? input.points.map(p => clamp(Math.round(Number(p)), -4, 4)) : [...ENERGY_CURVES[template].points],
+    intensity,
+    source: ENERGY_CURVE_SOURCES.includes(input.source) ? input.source : (ENERGY_CURVES[requested] || custom ? 'ai' : 'venue-default'),
+  };
 }
 
-function timeLabel(mins) {
-  const m = ((mins % 1440) + 1440) % 1440;
-  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+// Base energy moved along the curve at position t (0 = opening, 1 = close)
+function curveEnergy(energy, curve, t) {
+  const points = (curve || resolveEnergyCurve(null)).points;
+  const x = clamp(t, 0, 1) * (points.length - 1);
+  const i = Math.min(Math.floor(x), points.length - 2);
+  const offset = points[i] + (points[i + 1] - points[i]) * (x - i);
+  return clamp(Math.round(energy + offset * (curve?.intensity || 1)), 1, 10);
 }
 
 function iconForTime(mins) {
@@ -277,41 +474,131 @@ function iconForTime(mins) {
   return 'stars'; // 0-4
 }
 
-function generateDayparts(hoursStr, baseEnergy, schedulingMode) {
-  const energy = baseEnergy || 5;
-  const mode = schedulingMode || 'auto'; // 'auto' | 'single' | 'custom'
+// "Sun–Thu", "Fri–Sat", "Mon, Wed" — runs of consecutive days, wrapping at Sunday
+function formatDaySet(days) {
+  const set = new Set(days);
+  if (set.size === 7) return 'Daily';
+  const runs = [];
+  WEEKDAY_CODES.forEach((code, i) => {
+    if (!set.has(code) || set.has(WEEKDAY_CODES[(i + 6) % 7])) return;
+    let j = i;
+    while (set.has(WEEKDAY_CODES[(j + 1) % 7]) && j - i < 6) j++;
+    runs.push(j === i ? WEEKDAY_SHORT[code] : `${WEEKDAY_SHORT[code]}\u2013${WEEKDAY_SHORT[WEEKDAY_CODES[j % 7]]}`);
+  });
+  return runs.join(', ');
+}
 
-  if (!hoursStr || !hoursStr.trim()) {
-    if (mode === 'single') {
-      return [{ key: 'all_day', label: 'All Day', timeRange: 'all day', icon: 'sun', energy }];
+/**
+ * Dayparts when hours differ by weekday: each day group is split on its own,
+ * then dayparts with the same key merge so one set of playlists covers e.g.
+ * "Peak Hours" on every day. dayTimes holds the time range per day group;
+ * slots starting after midnight belong to the next calendar day, so their
+ * days shift by one. timeRange stays the first group's range. Days no group
+ * covers get a closed daypart (see closedDayTimes).
+ */
+function weeklyDayparts(groups, energy, mode, curve) {
+  const merged = new Map();
+  for (const g of groups) {
+    const firstOpen = parseOpeningWindows(g.hours)[0].start;
+    for (const dp of generateDayparts(g.hours, energy, mode, curve)) {
+      const afterMidnight = parseTimeRange(dp.timeRange).start < firstOpen;
+      const days = afterMidnight ? g.days.map(d => WEEKDAY_CODES[(WEEKDAY_CODES.indexOf(d) + 1) % 7]) : g.days;
+      if (!merged.has(dp.key)) merged.set(dp.key, { ...dp, dayTimes: [] });
+      merged.get(dp.key).dayTimes.push({ days: WEEKDAY_CODES.filter(d => days.includes(d)), timeRange: dp.timeRange, label: formatDaySet(g.days) });
     }
-    return DEFAULT_DAYPARTS.map((dp, i) => ({
-      ...dp, energy: clamp(energy + [-2, 0, 1][i], 1, 10),
-    }));
   }
+  const dayparts = [...merged.values()].map(dp => ({
+    ...dp,
+    label: `${dp.label.replace(/\s*\(.*\)$/, '')} (${dp.dayTimes.map(t => `${t.label} ${t.timeRange.replace('-', '\u2013')}`).join(', ')})`,
+    dayTimes: dp.dayTimes.map(({ days, timeRange }) => ({ days, timeRange })),
+  }));
+  const closedTimes = closedDayTimes(groups);
+  if (closedTimes.length > 0) {
+    dayparts.push({
+      key: 'closed_days',
+      label: `Closed (${formatDaySet(closedTimes.flatMap(t => t.days))})`,
+      timeRange: closedTimes[0].timeRange,
+      icon: 'stars',
+      energy: 1,
+      closed: true,
+      dayTimes: closedTimes,
+    });
+  }
+  return dayparts;
+}
 
-  const match = hoursStr.match(
-    /(\d{1,2}[:\.]?\d{0,2}\s*(?:am|pm)?)\s*[-\u2013\u2014to]+\s*(\d{1,2}[:\.]?\d{0,2}\s*(?:am|pm)?)/i
-  );
-  if (!match) {
-    return DEFAULT_DAYPARTS.map((dp, i) => ({
-      ...dp, energy: clamp(energy + [-2, 0, 1][i], 1, 10),
-    }));
+// Days without opening hours are closed from the end of the previous night's
+// window (past midnight when it runs late) until midnight, grouped by time range
+function closedDayTimes(groups) {
+  const windowsOn = code => {
+    const group = groups.find(g => g.days.includes(code));
+    return group ? parseOpeningWindows(group.hours) : null;
+  };
+  const byRange = new Map();
+  WEEKDAY_CODES.forEach((code, i) => {
+    if (windowsOn(code)) return;
+    const prev = windowsOn(WEEKDAY_CODES[(i + 6) % 7]);
+    const spill = prev ? Math.max(0, prev[prev.length - 1].end - 1440) : 0;
+    const timeRange = `${timeLabel(spill)}-00:00`;
+    byRange.set(timeRange, [...(byRange.get(timeRange) || []), code]);
+  });
+  return [...byRange].map(([timeRange, days]) => ({ days, timeRange }));
+}
+
+// [{ days, timeRange }] a daypart plays at: one per day group when hours vary
+// by weekday, otherwise its own range with days null (every day). A transition
+// bridge (see planTransitionBridges) takes over the end of the daypart.
+function daypartTimes(dp, fallbackTimeRange) {
+  let times;
+  if (Array.isArray(dp?.dayTimes) && dp.dayTimes.length > 0) times = dp.dayTimes;
+  else {
+    const timeRange = dp?.timeRange || fallbackTimeRange;
+    times = timeRange ? [{ days: null, timeRange }] : [];
   }
+  if (!Array.isArray(dp?.bridge?.times)) return times;
+  return times.map(t => {
+    const range = parseTimeRange(t.timeRange);
+    const bridge = range && dp.bridge.times.find(b => String(b.days) === String(t.days) && parseTimeRange(b.timeRange)?.end % 1440 === range.end % 1440);
+    return bridge ? { days: t.days, timeRange: `${timeLabel(range.start)}-${bridge.timeRange.split('-')[0]}` } : t;
+  });
+}
+
+// Minutes of bridge playlist at each daypart change; true picks the default,
+// 0 / false / missing turns bridges off
+const TRANSITION_MINUTES = { default: 20, min: 10, max: 45 };
+
+function transitionMinutes(value) {
+  if (value === true) return TRANSITION_MINUTES.default;
+  const n = parseInt(value, 10);
+  return n > 0 ? clamp(n, TRANSITION_MINUTES.min, TRANSITION_MINUTES.max) : 0;
+}
 
-  const openMin = parseTime(match[1]);
-  let closeMin = parseTime(match[2]);
-  const totalMinutes = closeMin <= openMin
-    ? (1440 - openMin) + closeMin
-    : closeMin - openMin;
+// schedule_entries.days for a day set: 'daily' | 'weekend' | 'MO,WE,FR'.
+// Day groups narrowed to the weekend for weekend playlists; null days keep the
+// old daily/weekend split.
+function entryDaysFor(days, scheduleType) {
+  if (!days) return scheduleType === 'weekend' ? 'weekend' : 'daily';
+  const set = scheduleType === 'weekend' ? days.filter(d => d === 'SA' || d === 'SU') : days;
+  if (set.length === 7) return 'daily';
+  return set.length > 0 ? set.join(',') : null;
+}
+
+// Dayparts that get music — closed gaps between opening windows are skipped
+function openDayparts(dayparts) {
+  return (dayparts || []).filter(dp => !dp.closed);
+}
+
+// Dayparts for one opening window. suffix keeps keys unique across windows;
+// energyAt(startMin, endMin) gives a segment's energy from the brief's curve.
+function windowDayparts(openMin, totalMinutes, energy, mode, suffix = '', splitShift = false, energyAt = () => energy) {
   const totalHours = totalMinutes / 60;
 
   // Single mode: one daypart covering entire operating window
   if (mode === 'single') {
     const endMin = (openMin + totalMinutes) % 1440;
     return [{
-      key: 'all_day',
-      label: `All Day (${timeLabel(openMin)}\u2013${timeLabel(endMin)})`,
+      key: `all_day${suffix}`,
+      label: `${splitShift ? 'Open' : 'All Day'} (${timeLabel(openMin)}\u2013${timeLabel(endMin)})`,
       timeRange: `${timeLabel(openMin)}-${timeLabel(endMin)}`,
       icon: iconForTime(openMin),
       energy,
@@ -330,24 +617,79 @@ function generateDayparts(hoursStr, baseEnergy, schedulingMode) {
     3: ['Opening', 'Peak Hours', 'Wind Down'],
     4: ['Opening', 'Build Up', 'Peak Hours', 'Wind Down'],
   };
-  const offsets = { 1: [0], 2: [-1, 1], 3: [-2, 0, 1], 4: [-2, -1, 1, 0] };
 
   const dayparts = [];
   for (let i = 0; i < segCount; i++) {
     const startMin = (openMin + i * segLen) % 1440;
     const endMin = (openMin + (i + 1) * segLen) % 1440;
-    const key = labels[segCount][i].toLowerCase().replace(/\s+/g, '_');
+    const key = labels[segCount][i].toLowerCase().replace(/\s+/g, '_') + suffix;
     dayparts.push({
       key,
       label: `${labels[segCount][i]} (${timeLabel(startMin)}\u2013${timeLabel(endMin)})`,
       timeRange: `${timeLabel(startMin)}-${timeLabel(endMin)}`,
       icon: iconForTime(startMin),
-      energy: clamp(energy + offsets[segCount][i], 1, 10),
+      energy: energyAt(openMin + i * segLen, openMin + (i + 1) * segLen),
     });
   }
   return dayparts;
 }
 
+/**
+ * Dayparts for an hours string. With several opening windows each window gets
+ * its own dayparts and the gap between two windows is an explicit closed
+ * daypart ({ closed: true }) — no music is matched to it, and the schedule
+ * builders leave the zone silent (or on the brief's fallback playlist) there.
+ * Hours that name weekdays get dayparts per day group (see weeklyDayparts).
+ * Energies follow the energy curve (see resolveEnergyCurve) across the whole
+ * opening span, so a split shift's second window carries on where the first stopped.
+ */
+function generateDayparts(hoursStr, baseEnergy, schedulingMode, energyCurve) {
+  const energy = baseEnergy || 5;
+  const mode = schedulingMode || 'auto'; // 'auto' | 'single' | 'custom'
+  const curve = energyCurve || resolveEnergyCurve(null);
+
+  const weekly = parseWeeklyHours(hoursStr);
+  if (weekly) return weeklyDayparts(weekly, energy, mode, curve);
+
+  if (!hoursStr || !hoursStr.trim()) {
+    if (mode === 'single') {
+      return [{ key: 'all_day', label: 'All Day', timeRange: 'all day', icon: 'sun', energy }];
+    }
+    return DEFAULT_DAYPARTS.map((dp, i) => ({
+      ...dp, energy: curveEnergy(energy, curve, (i + 0.5) / DEFAULT_DAYPARTS.length),
+    }));
+  }
+
+  const windows = parseOpeningWindows(hoursStr);
+  if (windows.length === 0) {
+    return DEFAULT_DAYPARTS.map((dp, i) => ({
+      ...dp, energy: curveEnergy(energy, curve, (i + 0.5) / DEFAULT_DAYPARTS.length),
+    }));
+  }
+
+  const spanStart = windows[0].start;
+  const span = windows[windows.length - 1].end - spanStart;
+  const energyAt = (startMin, endMin) => curveEnergy(energy, curve, ((startMin + endMin) / 2 - spanStart) / span);
+
+  const dayparts = [];
+  windows.forEach((w, i) => {
+    if (i > 0) {
+      const gapStart = windows[i - 1].end % 1440;
+      const gapEnd = w.start % 1440;
+      dayparts.push({
+        key: i === 1 ? 'closed' : `closed_${i}`,
+        label: `Closed (${timeLabel(gapStart)}\u2013${timeLabel(gapEnd)})`,
+        timeRange: `${timeLabel(gapStart)}-${timeLabel(gapEnd)}`,
+        icon: iconForTime(gapStart),
+        energy: 1,
+        closed: true,
+      });
+    }
+    dayparts.push(...windowDayparts(w.start, w.end - w.start, energy, mode, i === 0 ? '' : `_${i + 1}`, windows.length > 1, energyAt));
+  });
+  return dayparts;
+}
+
 function buildDesignerBrief(data) {
   const vibes = Array.isArray(data.vibes) ? data.vibes : [data.vibes].filter(Boolean);
   const energy = parseInt(data.energy, 10) || 5;
@@ -377,18 +719,20 @@ function buildDesignerBrief(data) {
     .map(v => VIBE_GENRES[v]?.bpm)
     .filter(Boolean);
 
-  const dayparts = generateDayparts(data.hours, energy);
+  const energyCurve = resolveEnergyCurve(data.energyCurve, venueType);
+  const dayparts = generateDayparts(data.hours, energy, undefined, energyCurve);
   const daypartMap = {};
   const daypartOrder = [];
   for (const dp of dayparts) {
     daypartOrder.push(dp.key);
-    daypartMap[dp.key] = {
+    daypartMap[dp.key] = dp.closed ? { closed: true, label: dp.label, icon: dp.icon, timeRange: dp.timeRange } : {
       energy: dp.energy,
       genres: topGenres.slice(0, dp.energy >= energy ? 6 : 5),
       label: dp.label,
       icon: dp.icon,
       timeRange: dp.timeRange,
     };
+    if (dp.dayTimes) daypartMap[dp.key].dayTimes = dp.dayTimes;
   }
 
   return {
@@ -396,43 +740,173 @@ function buildDesignerBrief(data) {
     bpmRanges: [...new Set(bpmRanges)],
     dayparts: daypartMap,
     daypartOrder,
+    energyCurve,
   };
 }
 
 // ---------------------------------------------------------------------------
 // AI Playlist Recommendation System
 // ---------------------------------------------------------------------------
-function buildSystemPrompt(dayparts) {
+// Stage 2 of /api/recommend: the model reranks a deterministic shortlist
+// (stage 1, see shortlistPlaylists) and answers through this tool's schema.
+const RERANK_CANDIDATE_LIMIT = 40;
+const RERANK_SCORE_RANGE = [70, 99];
+
+function buildRerankTool(dayparts) {
+  return {
+    name: 'submit_recommendations',
+    description: 'Submit the final playlist selection, chosen only from the candidate shortlist.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        recommendations: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 12,
+          items: {
+            type: 'object',
+            properties: {
+              playlistId: { type: 'string', description: 'Exact candidate id (e.g. "syb_042")' },
+              daypart: { type: 'string', enum: dayparts.map(dp => dp.key) },
+              reason: { type: 'string', description: '1-2 sentences referencing the time segment' },
+              matchScore: { type: 'integer', minimum: RERANK_SCORE_RANGE[0], maximum: RERANK_SCORE_RANGE[1] },
+            },
+            required: ['playlistId', 'daypart', 'reason', 'matchScore'],
+          },
+        },
+        designerNotes: { type: 'string', description: 'Brief direction for the design team referencing the actual time segments' },
+      },
+      required: ['recommendations', 'designerNotes'],
+    },
+  };
+}
+
+function buildSystemPrompt(dayparts, candidates, seasons = []) {
   const dpInstructions = dayparts.map(dp =>
-    `- "${dp.key}" \u2014 ${dp.label}: Energy ${dp.energy}/10`
+    `- "${dp.key}" — ${dp.label}: Energy ${dp.energy}/10`
   ).join('\n');
-  const dpKeys = dayparts.map(dp => dp.key).join('|');
+  const shortlist = candidates.map(c => ({
+    id: c.playlistId,
+    name: c.name,
+    description: c.description,
+    categories: c.categories,
+    suggestedDaypart: c.daypart,
+    engineScore: c.matchScore,
+    evidence: formatScoreEvidence(c.scoreBreakdown),
+  }));
 
   return `You are a professional music curator for BMAsia Group. Analyze venue atmosphere briefs and recommend playlists from the Soundtrack Your Brand (SYB) catalog.
 
-## SYB Playlist Catalog
-${JSON.stringify(PLAYLIST_CATALOG)}
+## Candidate Shortlist
+Our matching engine pre-selected these ${shortlist.length} playlists for this brief. Each has the engine's suggested daypart, score and the evidence behind it.
+${JSON.stringify(shortlist)}
 
 ## Instructions
-Analyze ALL customer inputs holistically: vibes, energy level, venue type, operating hours, demographics, vocal/language preferences, avoid list, mood changes, reference venues, and free-text descriptions.
+Analyze ALL customer inputs holistically: vibes, energy level, venue type, operating hours, demographics, vocal/language preferences, avoid list, mood changes, reference venues, and free-text descriptions. Rerank the shortlist: keep the best fits, move playlists to a better daypart where it makes sense, and drop weak ones.
 
 Recommend 8-12 playlists distributed across these dayparts:
 ${dpInstructions}
 
 Aim for 2-4 playlists per daypart. The dayparts reflect the venue's actual operating hours, so use them as-is.
-
+${seasons.length > 0 ? `
+## Season
+The venue is inside these holiday windows: ${seasons.map(w => `${w.name} (${w.start} to ${w.end})`).join(', ')}. Keep a seasonal playlist or two where the shortlist has them; never pick playlists themed for another holiday.
+` : ''}
 ## Rules
-- ONLY recommend playlists from the catalog (use exact IDs)
+- ONLY recommend playlists from the shortlist (use exact IDs)
 - Respect the avoid list: never recommend matching styles
 - Match vocal preferences (instrumental, mostly instrumental, etc.)
 - Consider venue type (hotel playlists for hotels, etc.) but cross-match when appropriate
-- matchScore: 70-99, be honest. 90+ only for excellent matches
+- matchScore: ${RERANK_SCORE_RANGE[0]}-${RERANK_SCORE_RANGE[1]}, be honest. 90+ only for excellent matches
 - If mood changes are specified, reflect transitions across dayparts
-- Energy levels per daypart are guidelines \u2014 adjust slightly based on mood description
+- Energy levels per daypart are guidelines — adjust slightly based on mood description
 - Reference the actual time segments in your reasons and designer notes
 
-## Output (strict JSON, no markdown)
-{"recommendations":[{"playlistId":"syb_xxx","daypart":"${dpKeys}","reason":"1-2 sentences referencing the time segment","matchScore":70-99}],"designerNotes":"Brief direction for the design team referencing the actual time segments"}`;
+Answer by calling the submit_recommendations tool.`;
+}
+
+/**
+ * Validate the model's rerank output against the shortlist. Unknown ids are
+ * repaired by name or id normalization, unknown dayparts fall back to the
+ * engine's suggestion, scores are clamped, duplicates dropped. Dayparts left
+ * empty get the engine's best candidate. Returns { recommendations, designerNotes, issues }.
+ */
+function validateRerankOutput(output, candidates, dayparts) {
+  const issues = [];
+  const byId = new Map(candidates.map(c => [c.playlistId, c]));
+  const byName = new Map(candidates.map(c => [String(c.name).toLowerCase(), c]));
+  const dpKeys = new Set(dayparts.map(dp => dp.key));
+  const dpByLabel = new Map(dayparts.map(dp => [dp.label.toLowerCase().replace(/\s*\(.*$/, ''), dp.key]));
+  const [minScore, maxScore] = RERANK_SCORE_RANGE;
+
+  const items = Array.isArray(output?.recommendations) ? output.recommendations : [];
+  if (!Array.isArray(output?.recommendations)) issues.push({ index: null, problem: 'recommendations missing', action: 'dropped' });
+
+  const seen = new Set();
+  const recommendations = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      issues.push({ index, problem: 'not an object', action: 'dropped' });
+      return;
+    }
+
+    // Resolve the playlist: exact id, zero-padded id ("syb_7" → "syb_007"), then name
+    let candidate = byId.get(item.playlistId);
+    if (!candidate) {
+      const num = String(item.playlistId || '').match(/^syb[_-]?(\d+)$/i);
+      const padded = num ? `syb_${num[1].padStart(3, '0')}` : null;
+      candidate = (padded && byId.get(padded)) || byName.get(String(item.name || item.playlistId || '').toLowerCase());
+      if (!candidate) {
+        issues.push({ index, problem: `unknown playlist "${item.playlistId}"`, action: 'dropped' });
+        return;
+      }
+      issues.push({ index, problem: `unknown playlist "${item.playlistId}"`, action: `repaired to ${candidate.playlistId}` });
+    }
+    if (seen.has(candidate.playlistId)) {
+      issues.push({ index, problem: `duplicate ${candidate.playlistId}`, action: 'dropped' });
+      return;
+    }
+
+    let daypart = item.daypart;
+    if (!dpKeys.has(daypart)) {
+      const normalized = String(daypart || '').toLowerCase().trim().replace(/\s+/g, '_');
+      daypart = dpKeys.has(normalized) ? normalized
+        : dpByLabel.get(String(item.daypart || '').toLowerCase().replace(/\s*\(.*$/, '')) || candidate.daypart;
+      issues.push({ index, problem: `unknown daypart "${item.daypart}"`, action: `repaired to ${daypart}` });
+    }
+
+    let matchScore = Math.round(Number(item.matchScore));
+    if (!Number.isFinite(matchScore)) {
+      matchScore = candidate.matchScore;
+      issues.push({ index, problem: 'matchScore not a number', action: 'repaired from engine score' });
+    } else if (matchScore < minScore || matchScore > maxScore) {
+      const clamped = clamp(matchScore, minScore, maxScore);
+      issues.push({ index, problem: `matchScore ${matchScore} out of range`, action: `clamped to ${clamped}` });
+      matchScore = clamped;
+    }
+
+    const reason = typeof item.reason === 'string' && item.reason.trim() ? item.reason.trim() : candidate.reason;
+    seen.add(candidate.playlistId);
+    recommendations.push({ playlistId: candidate.playlistId, daypart, reason, matchScore });
+  });
+
+  // Don't leave a daypart empty when the engine had something for it
+  if (recommendations.length > 0) {
+    for (const dp of dayparts) {
+      if (recommendations.some(r => r.daypart === dp.key)) continue;
+      const fill = candidates.find(c => c.daypart === dp.key && !seen.has(c.playlistId));
+      if (!fill) continue;
+      seen.add(fill.playlistId);
+      recommendations.push({ playlistId: fill.playlistId, daypart: dp.key, reason: fill.reason, matchScore: clamp(fill.matchScore, minScore, maxScore) });
+      issues.push({ index: null, problem: `daypart "${dp.key}" empty`, action: `filled with ${fill.playlistId}` });
+    }
+  }
+
+  return {
+    recommendations,
+    designerNotes: typeof output?.designerNotes === 'string' ? output.designerNotes : '',
+    issues,
+  };
 }
 
 function buildUserMessage(data) {
@@ -457,117 +931,1137 @@ function buildUserMessage(data) {
   return parts.join('\n');
 }
 
-function deterministicMatch(data, dayparts, extraPlaylists = []) {
-  const vibes = Array.isArray(data.vibes) ? data.vibes : [data.vibes].filter(Boolean);
-  const energy = parseInt(data.energy, 10) || 5;
-  const venueType = data.venueType || '';
-  const avoidList = (data.avoidList || '').toLowerCase();
-  const vocals = data.vocals || '';
-  const venueCatMap = {
-    'hotel-lobby': ['hotel', 'lounge'],
-    restaurant: ['restaurant'],
-    'bar-lounge': ['bar', 'lounge'],
-    'spa-wellness': ['spa'],
-    cafe: ['cafe', 'lounge'],
-    'fashion-retail': ['store'],
-    coworking: ['lounge'],
-    'pool-beach': ['hotel', 'lounge'],
-    'gym-fitness': ['store'],
-    qsr: ['restaurant'],
-  };
-  const targetCats = venueCatMap[venueType] || [];
-  const vibeKw = {
-    relaxed: ['relax', 'chill', 'calm', 'gentle', 'soft', 'mellow', 'easy', 'soothing', 'acoustic'],
-    energetic: ['energetic', 'upbeat', 'energy', 'pop', 'dance', 'hits', 'rush'],
-    sophisticated: ['elegant', 'sophisticated', 'refined', 'grand', 'fine', 'polished', 'tasteful'],
-    warm: ['warm', 'cozy', 'acoustic', 'folk', 'inviting', 'friendly'],
-    trendy: ['modern', 'trendy', 'indie', 'hip', 'current', 'urban', 'fashion'],
-    upbeat: ['happy', 'feel-good', 'upbeat', 'fun', 'groovy', 'sunny', 'cheerful'],
-    zen: ['zen', 'ambient', 'meditation', 'nature', 'peaceful', 'mindful', 'spa'],
-    romantic: ['romantic', 'intimate', 'soul', 'ballad', 'dinner', 'date'],
-    luxurious: ['luxury', 'elegant', 'lounge', 'upscale', 'grand', 'boutique', 'premium'],
-    tropical: ['tropical', 'beach', 'reggae', 'island', 'caribbean', 'bossa', 'surf'],
-    creative: ['indie', 'creative', 'alternative', 'art', 'fusion', 'world'],
-    professional: ['office', 'background', 'light', 'subtle', 'focus'],
+// ---------------------------------------------------------------------------
+// Language & demographic signals — musicLanguages, nationality, ageRange
+// ---------------------------------------------------------------------------
+// How a customer names a language (English or Thai input)
+const LANGUAGE_REQUEST_PATTERNS = {
+  english: /\b(?:english|western|international)\b|อังกฤษ|สากล/i,
+  thai: /\bthai\b|ไทย/i,
+  korean: /\b(?:korean|k-?pop)\b|เกาหลี/i,
+  japanese: /\b(?:japanese|j-?pop)\b|ญี่ปุ่น/i,
+  chinese: /\b(?:chinese|mandarin|cantonese|c-?pop|mandopop|cantopop)\b|จีน/i,
+  spanish: /\b(?:spanish|latin|latino|reggaeton)\b|ละติน|สเปน/i,
+  portuguese: /\b(?:portuguese|brazilian)\b|บราซิล/i,
+  french: /\bfrench\b|ฝรั่งเศส/i,
+  italian: /\bitalian\b|อิตาลี/i,
+  hindi: /\b(?:hindi|bollywood)\b|อินเดีย/i,
+};
+
+// Language cues in playlist names/descriptions/tags. English is the catalog
+// default and is never detected — an untagged playlist counts as English/neutral.
+const PLAYLIST_LANGUAGE_SIGNALS = {
+  korean: /\b(?:k-?pop|k-?indie|k-?r&b|korean|seoul)\b/,
+  japanese: /\b(?:j-?pop|j-?rock|japanese|city pop|tokyo|anime)\b/,
+  thai: /\b(?:thai|t-?pop|luk thung|mor lam|bangkok|siam)\b/,
+  chinese: /\b(?:c-?pop|mandopop|cantopop|chinese|shanghai)\b/,
+  spanish: /\b(?:latin|latino|reggaeton|salsa|bachata|cumbia|spanish|flamenco|tango|mariachi)\b/,
+  portuguese: /\b(?:bossa|brazil|brazilian|samba|mpb|fado)\b/,
+  french: /\b(?:french|chanson|parisian|paris)\b/,
+  italian: /\b(?:italian|italo|italia)\b/,
+  hindi: /\b(?:bollywood|hindi|desi)\b/,
+};
+
+// Instrumental playlists carry no language, so language filters let them through
+const LANGUAGE_NEUTRAL = /\b(?:instrumental|instrumentals|piano|ambient|classical|orchestral|meditation|nature|lo-?fi)\b/;
+
+const NATIONALITY_LANGUAGES = [
+  [/korea/i, 'korean'], [/japan/i, 'japanese'], [/thai/i, 'thai'],
+  [/chin|taiwan|hong kong|singapore/i, 'chinese'],
+  [/spain|spanish|mexic|colombia|argentin|chile|peru|latin/i, 'spanish'],
+  [/brazil|portug/i, 'portuguese'], [/fren|france/i, 'french'], [/ital/i, 'italian'], [/india/i, 'hindi'],
+];
+
+// Generation words → approximate age span
+const AGE_GROUPS = [
+  [/\bgen(?:eration)?[\s-]?z\b|\bteen/i, [16, 28]],
+  [/\bmillennial/i, [30, 45]],
+  [/\bgen(?:eration)?[\s-]?x\b/i, [46, 61]],
+  [/\bboomer|\bsenior|\bretire|\belderly/i, [60, 78]],
+  [/\byoung\b|\bstudent/i, [18, 30]],
+];
+
+/**
+ * Parse musicLanguages into { languages, only }. `only` is set for "Thai only",
+ * "just English" etc. An empty languages list means no language request.
+ */
+function parseLanguageRequest(text) {
+  const s = String(text || '');
+  const languages = Object.keys(LANGUAGE_REQUEST_PATTERNS).filter(lang => LANGUAGE_REQUEST_PATTERNS[lang].test(s));
+  const only = /\b(?:only|just|exclusively|strictly)\b|เท่านั้น/i.test(s);
+  return { languages, only };
+}
+
+function detectPlaylistLanguages(text) {
+  return Object.keys(PLAYLIST_LANGUAGE_SIGNALS).filter(lang => PLAYLIST_LANGUAGE_SIGNALS[lang].test(text));
+}
+
+function nationalityLanguage(nationality) {
+  const match = NATIONALITY_LANGUAGES.find(([pattern]) => pattern.test(nationality || ''));
+  return match ? match[1] : null;
+}
+
+/** "25-40", "30s-50s", "40+", "millennials" → [minAge, maxAge], or null. */
+function parseAgeRange(text) {
+  const s = String(text || '').toLowerCase();
+  const range = s.match(/(\d{2})\s*s?\s*(?:-|–|to)\s*(\d{2})\s*s?/);
+  if (range) {
+    const max = parseInt(range[2], 10) + (/\d{2}\s*s\b/.test(range[0].split(/-|–|to/).pop()) ? 9 : 0);
+    return [parseInt(range[1], 10), max];
+  }
+  const plus = s.match(/(\d{2})\s*\+/);
+  if (plus) return [parseInt(plus[1], 10), parseInt(plus[1], 10) + 20];
+  const decade = s.match(/\b(\d)0s\b/);
+  if (decade) return [parseInt(decade[1], 10) * 10, parseInt(decade[1], 10) * 10 + 9];
+  const group = AGE_GROUPS.find(([pattern]) => pattern.test(s));
+  return group ? group[1] : null;
+}
+
+function decadeLabel(year) {
+  if (year >= 2020) return 'current';
+  if (year >= 2000) return `${Math.floor(year / 10) * 10}s`;
+  return `${Math.floor((year % 100) / 10) * 10}s`;
+}
+
+/**
+ * Eras an age range grew up with: the decade each age in the range turned 18,
+ * plus "current" for anyone under 35.
+ */
+function preferredEras(ageRange, year = new Date().getFullYear()) {
+  const range = parseAgeRange(ageRange);
+  if (!range) return [];
+  const eras = new Set();
+  for (let age = range[0]; age <= range[1]; age += 5) eras.add(decadeLabel(year - age + 18));
+  eras.add(decadeLabel(year - range[1] + 18));
+  if (range[0] < 35) eras.add('current');
+  return [...eras];
+}
+
+function detectPlaylistEras(text) {
+  const eras = new Set();
+  for (const m of text.matchAll(/\b(?:19)?([5-9]0)'?s\b/g)) eras.add(`${m[1]}s`);
+  if (/\b(?:2000s|00s|noughties|y2k)\b/.test(text)) eras.add('2000s');
+  if (/\b(?:2010s|10s)\b/.test(text)) eras.add('2010s');
+  if (/\b(?:golden oldies|oldies)\b/.test(text)) eras.add('60s');
+  if (/\b(?:current|latest|trending|today'?s|fresh|new(?!\s*age)|202\d)\b/.test(text)) eras.add('current');
+  return [...eras];
+}
+
+// ---------------------------------------------------------------------------
+// Seasonal calendar — regional holidays keyed by the venue's country
+// ---------------------------------------------------------------------------
+// data/seasonal-calendar.json lists holidays (fixed MM-DD windows, per-year
+// dates with lead/trail days, or per-year ranges) and which apply per country.
+// Reloaded on mtime change like the weights file; a bad edit keeps the last
+// good version.
+const SEASONAL_CALENDAR_PATH = path.join(__dirname, 'data', 'seasonal-calendar.json');
+const SEASONAL_PLANNING_DAYS = 365;
+let seasonalCalendar = null;
+let seasonalCalendarMtime = 0;
+let seasonalPatterns = [];
+
+function loadSeasonalCalendar() {
+  let mtime;
+  try { mtime = fs.statSync(SEASONAL_CALENDAR_PATH).mtimeMs; } catch (e) { return seasonalCalendar; }
+  if (mtime === seasonalCalendarMtime) return seasonalCalendar;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SEASONAL_CALENDAR_PATH, 'utf8'));
+    if (!parsed.holidays || !parsed.countries?.['*']) throw new Error('missing holidays or default country');
+    for (const [code, country] of Object.entries(parsed.countries)) {
+      const unknown = (country.holidays || []).filter(h => !parsed.holidays[h]);
+      if (unknown.length > 0) throw new Error(`${code} references unknown holidays: ${unknown.join(', ')}`);
+      if (country.timeZone) new Intl.DateTimeFormat('en-US', { timeZone: country.timeZone }); // RangeError on an unknown zone
+    }
+    seasonalCalendar = parsed;
+    seasonalPatterns = Object.entries(parsed.holidays).map(([key, holiday]) => ({
+      key,
+      pattern: new RegExp(`(?:^|[^a-z])(?:${holiday.keywords.map(kw => kw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![a-z])`),
+    }));
+    console.log(`[Seasons] Loaded calendar v${parsed.version} (${Object.keys(parsed.holidays).length} holidays, ${Object.keys(parsed.countries).length} countries)`);
+  } catch (err) {
+    console.error('[Seasons] Failed to load seasonal calendar, keeping previous version:', err.message);
+  }
+  seasonalCalendarMtime = mtime;
+  return seasonalCalendar;
+}
+loadSeasonalCalendar();
+
+// "Sukhumvit, Bangkok" → 'TH'; unknown locations get the international set ('*')
+function resolveVenueCountry(location) {
+  const calendar = loadSeasonalCalendar();
+  const text = (location || '').toLowerCase();
+  if (!calendar || !text) return '*';
+  for (const [code, country] of Object.entries(calendar.countries)) {
+    if (code === '*') continue;
+    if (country.aliases.some(a => text.includes(a))) return code;
+  }
+  return '*';
+}
+
+// IANA zone for "today" at a venue: its country's calendar timeZone, else Bangkok
+function venueTimeZone(location) {
+  const calendar = loadSeasonalCalendar();
+  return calendar?.countries[resolveVenueCountry(location)]?.timeZone || 'Asia/Bangkok';
+}
+
+// Date helpers on plain 'YYYY-MM-DD' strings (UTC arithmetic, no timezone drift)
+function localDateString(timeZone = 'Asia/Bangkok', date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// All windows of one holiday that start in `year` (fixed windows may run into year+1)
+function holidayWindows(holiday, year) {
+  if (holiday.window) {
+    const { start, end } = holiday.window;
+    return [{ start: `${year}-${start}`, end: `${end < start ? year + 1 : year}-${end}` }];
+  }
+  if (holiday.ranges?.[year]) {
+    const [start, end] = holiday.ranges[year];
+    return [{ start: `${year}-${start}`, end: `${year}-${end}` }];
+  }
+  if (holiday.dates?.[year]) {
+    const day = `${year}-${holiday.dates[year]}`;
+    return [{ start: addDays(day, -(holiday.leadDays || 0)), end: addDays(day, holiday.trailDays || 0) }];
+  }
+  return [];
+}
+
+/**
+ * Holiday windows for a country that overlap [fromDate, fromDate + days].
+ * Returns [{ key, name, keywords, start, end, active, overlay }] sorted by
+ * start; `active` means fromDate itself falls inside the window.
+ */
+function seasonalWindows(country, fromDate, days = 0) {
+  const calendar = loadSeasonalCalendar();
+  if (!calendar) return [];
+  const toDate = addDays(fromDate, days);
+  const year = parseInt(fromDate.slice(0, 4), 10);
+  const keys = (calendar.countries[country] || calendar.countries['*']).holidays;
+  const windows = [];
+  for (const key of keys) {
+    const holiday = calendar.holidays[key];
+    for (let y = year - 1; y <= parseInt(toDate.slice(0, 4), 10); y++) {
+      for (const w of holidayWindows(holiday, y)) {
+        if (w.end < fromDate || w.start > toDate) continue;
+        windows.push({
+          key,
+          name: holiday.name,
+          keywords: holiday.keywords,
+          start: w.start,
+          end: w.end,
+          active: w.start <= fromDate && fromDate <= w.end,
+          overlay: holiday.overlay || null,
+        });
+      }
+    }
+  }
+  return windows.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Holidays in season for a brief: its event date, otherwise today where the venue is
+function activeSeasons(data) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(data.eventDate || '') ? data.eventDate : localDateString(venueTimeZone(data.location));
+  return seasonalWindows(resolveVenueCountry(data.location), date).filter(w => w.active);
+}
+
+// Holiday keys a playlist is themed around (any holiday, any country)
+function detectPlaylistSeasons(text) {
+  loadSeasonalCalendar();
+  return seasonalPatterns.filter(s => s.pattern.test(text)).map(s => s.key);
+}
+
+// ---------------------------------------------------------------------------
+// Full-text catalog index — offline BM25 over playlist/folder text
+// ---------------------------------------------------------------------------
+// Multi-word genre names collapse to one token before splitting, so "r&b",
+// "hip-hop" and "lo fi" behave like the single words they are.
+const TEXT_PHRASES = [
+  [/\br\s*&\s*b\b/g, 'rnb'],
+  [/\bhip[\s-]?hop\b/g, 'hiphop'],
+  [/\blo[\s-]?fi\b/g, 'lofi'],
+  [/\bk[\s-]pop\b/g, 'kpop'],
+  [/\bj[\s-]pop\b/g, 'jpop'],
+  [/\bt[\s-]pop\b/g, 'tpop'],
+  [/\bneo[\s-]soul\b/g, 'neosoul'],
+  [/\bbossa[\s-]nova\b/g, 'bossanova'],
+  [/\bnu[\s-]disco\b/g, 'nudisco'],
+  [/\bdeep[\s-]house\b/g, 'deephouse'],
+  [/\bfeel[\s-]good\b/g, 'feelgood'],
+  [/\blaid[\s-]back\b/g, 'laidback'],
+  [/\bchill[\s-]out\b/g, 'chillout'],
+  [/\bsinger[\s-]songwriter\b/g, 'singersongwriter'],
+  [/\blounge music\b/g, 'lounge'],
+];
+
+const TEXT_STOPWORDS = new Set([
+  'a', 'an', 'and', 'or', 'the', 'of', 'for', 'with', 'to', 'in', 'on', 'at', 'by', 'from',
+  'your', 'you', 'our', 'this', 'that', 'is', 'are', 'be', 'it', 'its', 'as', 'into', 'music', 'playlist',
+]);
+
+// Suffixes stripped by stemToken, longest first. Light-weight on purpose — the
+// goal is soulful/soul, relaxing/relaxed/relax, jazzy/jazz, grooves/groovy/groove.
+const STEM_SUFFIXES = ['fulness', 'iness', 'ation', 'ness', 'ings', 'etic', 'ful', 'ing', 'ies', 'ied', 'ed', 'ly', 'es', 'al', 's', 'y', 'e'];
+
+function stemToken(token) {
+  if (token.length <= 3 || /\d/.test(token)) return token;
+  let stem = token;
+  for (const suffix of STEM_SUFFIXES) {
+    if (!stem.endsWith(suffix) || stem.length - suffix.length < 3) continue;
+    if (suffix === 's' && /(ss|us|is)$/.test(stem)) continue;
+    stem = stem.slice(0, -suffix.length) + (suffix === 'ies' || suffix === 'ied' ? 'y' : '');
+    break;
+  }
+  // lively → live → liv, groove → groov
+  if (stem.length > 3 && stem.endsWith('e')) stem = stem.slice(0, -1);
+  // sunny → sunn → sun, but keep jazz / chill / class
+  if (stem.length > 3 && /([^aeioulsz])\1$/.test(stem)) stem = stem.slice(0, -1);
+  return stem;
+}
+
+/** Lowercase, collapse genre phrases, split on non-letters, drop stopwords, stem. */
+function tokenizeText(text) {
+  let s = String(text || '').toLowerCase();
+  for (const [pattern, replacement] of TEXT_PHRASES) s = s.replace(pattern, replacement);
+  return s.split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t && !TEXT_STOPWORDS.has(t))
+    .map(stemToken);
+}
+
+// Synonym groups (pre-stemming). A query term also matches the rest of its group
+// at TEXT_SYNONYM_WEIGHT, so "r&b" finds "Soul Classics" without outranking a real R&B hit.
+const TEXT_SYNONYMS = [
+  ['rnb', 'soul', 'neosoul', 'motown'],
+  ['hiphop', 'rap'],
+  ['edm', 'electronic', 'electronica', 'dance', 'club'],
+  ['lofi', 'chillhop', 'beats'],
+  ['bossanova', 'bossa', 'brazilian', 'samba'],
+  ['chill', 'chillout', 'relax', 'mellow', 'laidback', 'calm'],
+  ['ambient', 'atmospheric', 'meditation', 'soundscape'],
+  ['acoustic', 'unplugged'],
+  ['latin', 'reggaeton', 'salsa', 'latino'],
+  ['kpop', 'korean'],
+  ['jpop', 'japanese'],
+  ['tpop', 'thai'],
+  ['jazz', 'swing', 'bebop'],
+  ['classical', 'orchestral', 'symphonic', 'baroque'],
+  ['house', 'deephouse'],
+  ['disco', 'nudisco'],
+  ['reggae', 'dub', 'caribbean'],
+  ['romantic', 'intimate', 'love'],
+  ['upbeat', 'happy', 'feelgood', 'cheerful'],
+  ['elegant', 'sophisticated', 'refined'],
+  ['luxury', 'luxurious', 'upscale', 'premium'],
+  ['tropical', 'island', 'beach'],
+];
+const TEXT_SYNONYM_WEIGHT = 0.4;
+
+const TEXT_SYNONYM_MAP = new Map();
+for (const group of TEXT_SYNONYMS) {
+  const stems = [...new Set(group.flatMap(tokenizeText))];
+  for (const s of stems) {
+    const others = TEXT_SYNONYM_MAP.get(s) || new Set();
+    for (const o of stems) if (o !== s) others.add(o);
+    TEXT_SYNONYM_MAP.set(s, others);
+  }
+}
+
+/**
+ * Build a query from free text (or an array of phrases): stemmed terms at weight
+ * 1, synonyms at TEXT_SYNONYM_WEIGHT. Returns Map<term, weight>.
+ */
+function buildTextQuery(input) {
+  const query = new Map();
+  const phrases = Array.isArray(input) ? input : [input];
+  for (const term of phrases.flatMap(tokenizeText)) query.set(term, 1);
+  for (const term of [...query.keys()]) {
+    for (const syn of TEXT_SYNONYM_MAP.get(term) || []) {
+      if (!query.has(syn)) query.set(syn, TEXT_SYNONYM_WEIGHT);
+    }
+  }
+  return query;
+}
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BM25_NAME_BOOST = 2; // name tokens count double — titles are the strongest signal
+
+/** Build a BM25 index from [{ id, name, body }] documents. */
+function buildTextIndex(docs) {
+  const entries = docs.map(d => {
+    const nameTokens = tokenizeText(d.name);
+    const bodyTokens = tokenizeText(d.body);
+    const tf = new Map();
+    for (const t of nameTokens) tf.set(t, (tf.get(t) || 0) + BM25_NAME_BOOST);
+    for (const t of bodyTokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { id: d.id, len: nameTokens.length * BM25_NAME_BOOST + bodyTokens.length, tf };
+  });
+  const df = new Map();
+  for (const e of entries) for (const t of e.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLen = entries.reduce((sum, e) => sum + e.len, 0) / (entries.length || 1);
+  return { entries, df, avgLen, size: entries.length };
+}
+
+/** Score every document against a query. Returns Map<id, bm25> (non-zero only). */
+function searchTextIndex(index, query) {
+  const scores = new Map();
+  for (const [term, weight] of query) {
+    const df = index.df.get(term);
+    if (!df) continue;
+    const idf = Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+    for (const e of index.entries) {
+      const tf = e.tf.get(term);
+      if (!tf) continue;
+      const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * e.len / index.avgLen));
+      scores.set(e.id, (scores.get(e.id) || 0) + weight * idf * norm);
+    }
+  }
+  return scores;
+}
+
+/** searchTextIndex scaled to 0..1 against the best hit, so weights stay comparable across queries. */
+function rankTextIndex(index, query) {
+  const scores = searchTextIndex(index, query);
+  const max = Math.max(0, ...scores.values());
+  if (max > 0) for (const [id, s] of scores) scores.set(id, s / max);
+  return scores;
+}
+
+// One cached index per catalog source; rebuilt when the set of items changes
+// (catalog refresh, or extra SYB search results mixed into a run).
+const textIndexCache = new Map();
+
+function getCatalogTextIndex(sourceKey, source, items) {
+  const cached = textIndexCache.get(sourceKey);
+  if (cached && cached.items === items) return cached.index;
+  const docs = items.map(i => source.indexDocument(i));
+  const signature = docs.map(d => `${d.id}\u0000${d.name}\u0000${d.body}`).join('\u0001');
+  if (cached && cached.signature === signature) {
+    cached.items = items;
+    return cached.index;
+  }
+  const index = buildTextIndex(docs);
+  textIndexCache.set(sourceKey, { items, signature, index });
+  return index;
+}
+
+// ---------------------------------------------------------------------------
+// Scoring Engine — shared by every catalog source (SYB, Beat Breeze, ...)
+// ---------------------------------------------------------------------------
+const VIBE_KEYWORDS = {
+  relaxed: ['relax', 'chill', 'calm', 'gentle', 'soft', 'mellow', 'easy', 'soothing', 'acoustic'],
+  energetic: ['energetic', 'upbeat', 'energy', 'pop', 'dance', 'hits', 'rush'],
+  sophisticated: ['elegant', 'sophisticated', 'refined', 'grand', 'fine', 'polished', 'tasteful'],
+  warm: ['warm', 'cozy', 'acoustic', 'folk', 'inviting', 'friendly'],
+  trendy: ['modern', 'trendy', 'indie', 'hip', 'current', 'urban', 'fashion'],
+  upbeat: ['happy', 'feel-good', 'upbeat', 'fun', 'groovy', 'sunny', 'cheerful'],
+  zen: ['zen', 'ambient', 'meditation', 'nature', 'peaceful', 'mindful', 'spa'],
+  romantic: ['romantic', 'intimate', 'soul', 'ballad', 'dinner', 'date'],
+  luxurious: ['luxury', 'elegant', 'lounge', 'upscale', 'grand', 'boutique', 'premium'],
+  tropical: ['tropical', 'beach', 'reggae', 'island', 'caribbean', 'bossa', 'surf'],
+  creative: ['indie', 'creative', 'alternative', 'art', 'fusion', 'world'],
+  professional: ['office', 'background', 'light', 'subtle', 'focus'],
+};
+
+const CALM_MOODS = ['calm', 'peaceful', 'dreamy', 'mellow'];
+const LIVELY_MOODS = ['energetic', 'upbeat', 'lively', 'groovy', 'festive', 'cheerful'];
+
+// Per-flag tests for the avoid list's intensity rules ("nothing too loud", "no explicit")
+const AVOID_INTENSITY_SIGNALS = {
+  loud: f => f.bpm > 125 || LIVELY_MOODS.includes(f.mood) || /\b(?:party|club|rave|workout|anthems?|edm|bass)\b/.test(f.text),
+  aggressive: f => /\b(?:metal|hardcore|punk|aggressive|rage|drill|trap)\b/.test(`${f.text} ${f.genre}`),
+  fast: f => f.bpm > 128 || /\b(?:workout|cardio|running|fast|high energy)\b/.test(f.text),
+  explicit: f => f.explicit === true || /\b(?:explicit|uncensored)\b/.test(f.text),
+  sad: f => ['sad', 'melancholic'].includes(f.mood) || /\b(?:sad|melanchol\w*|heartbreak)\b/.test(f.text),
+};
+
+// Share of an item's tracks whose histogram key passes `test` (0..1). SYB
+// playlists carry one-key histograms built from their catalog tags.
+function shareOf(histogram, test) {
+  let share = 0;
+  for (const [key, value] of Object.entries(histogram || {})) if (test(key)) share += value;
+  return Math.min(1, share);
+}
+
+// Share of an item's track tempos inside the BPM window for an energy level
+function bpmShareForEnergy(f, energy) {
+  if (!f.bpms || f.bpms.length === 0) return 0;
+  const inWindow = energy <= 3 ? b => b < 100
+    : energy <= 6 ? b => b >= 90 && b <= 135
+    : b => b > 120;
+  return f.bpms.filter(inWindow).length / f.bpms.length;
+}
+
+function normalizeVocals(vocals) {
+  if (vocals === 'instrumental' || vocals === 'instrumental-only') return 'instrumental';
+  return vocals || '';
+}
+
+/** Brief-level signals every scorer reads from. */
+function buildMatchContext(data) {
+  return {
+    vibes: Array.isArray(data.vibes) ? data.vibes : [data.vibes].filter(Boolean),
+    energy: parseInt(data.energy, 10) || 5,
+    venueType: data.venueType || '',
+    genreHints: (data.genreHints || []).map(h => h.toLowerCase().replace(/-/g, ' ')),
+    avoid: data.avoid && Array.isArray(data.avoid.genres) ? data.avoid : parseAvoidList(data.avoidList),
+    languages: parseLanguageRequest(data.musicLanguages),
+    nationalityLanguage: nationalityLanguage(data.nationality),
+    eras: preferredEras(data.ageRange),
+    vocals: normalizeVocals(data.vocals),
+    seasons: activeSeasons(data),
   };
-  const genreHints = data.genreHints || [];
+}
+
+// Named scorers. Each takes a normalized feature set (see the catalog sources
+// below) and the match context, and returns a score delta. Base scorers run once
+// per item with the brief's energy; daypart scorers run per daypart with
+// ctx.energy set to that daypart's energy. Every constant comes from ctx.weights
+// (see data/scoring-weights.json).
+const MATCH_SCORERS = {
+  // Venue fit (SYB): a base plus a step per matching catalog category
+  categoryFit(f, ctx) {
+    const w = ctx.weights;
+    const matches = ctx.targetCats.filter(c => f.categories.includes(c)).length;
+    return matches > 0 ? w.categoryBase + matches * w.categoryPerMatch : 0;
+  },
 
-  // Score a single playlist against the matching criteria
-  function scorePlaylist(p) {
+  // Venue fit (Beat Breeze): a flat bonus when any genre is one the venue type prefers
+  venueAffinity(f, ctx) {
+    return ctx.targetCats.some(c => f.categories.includes(c)) ? ctx.weights.venueAffinity : 0;
+  },
+
+  // Ranked full-text relevance of each vibe's keyword query (see buildTextQueries)
+  vibeRelevance(f, ctx) {
     let score = 0;
-    const text = `${p.name} ${p.description || ''}`.toLowerCase();
-    const cats = p.categories || [];
-    const catMatches = targetCats.filter(c => cats.includes(c)).length;
-    if (catMatches > 0) score += 2 + catMatches;
-    for (const vibe of vibes) {
-      for (const kw of (vibeKw[vibe] || [])) { if (text.includes(kw)) score += 0.5; }
-    }
-    let hintMatches = 0;
-    for (const hint of genreHints) {
-      if (text.includes(hint.toLowerCase())) { score += 2; hintMatches++; }
+    for (const ranked of ctx.text.vibes.values()) score += (ranked.get(f.id) || 0) * ctx.weights.vibeRelevance;
+    return score;
+  },
+
+  // Weighted by the share of tracks in a matching mood
+  moodFit(f, ctx) {
+    let score = 0;
+    for (const vibe of ctx.vibes) {
+      const v = vibe.toLowerCase();
+      score += ctx.weights.moodMatch * shareOf(f.moods, m => m.includes(v) || v.includes(m));
     }
-    if (genreHints.length >= 2 && hintMatches === 0) score -= 5;
-    if (avoidList) {
-      const avoidTerms = avoidList
-        .replace(/\bno\b/gi, '')
-        .replace(/\bhits\b/gi, '')
-        .replace(/\bmainstream\b/gi, '')
-        .split(/[,;]+|\b(?:and|or)\b/i)
-        .map(s => s ? s.trim().toLowerCase() : '')
-        .filter(s => s && s.length > 1);
-      const normalizedText = text.replace(/-/g, ' ');
-      for (const term of avoidTerms) {
-        const normalizedTerm = term.replace(/-/g, ' ');
-        if (normalizedText.includes(normalizedTerm)) score -= 10;
+    return score;
+  },
+
+  genreHints(f, ctx) {
+    const matches = genreHintMatches(f, ctx);
+    if (ctx.genreHints.length >= 2 && matches.length === 0) return ctx.weights.genreHintMiss;
+    return matches.reduce((sum, m) => sum + m.points, 0);
+  },
+
+  bpmFit(f, ctx) {
+    return ctx.weights.bpmFit * bpmShareForEnergy(f, ctx.energy);
+  },
+
+  // Prefer the instrumental ratio from track flags or tags; fall back to keywords in name/description.
+  // Beat Breeze keeps its own mapping: the isInstrumental flag, else the word "instrumental"
+  vocals(f, ctx) {
+    const w = ctx.weights;
+    if (f.source === 'beatbreeze') {
+      if (f.isInstrumental !== null && f.isInstrumental !== undefined) {
+        if (ctx.vocals === 'instrumental' && f.isInstrumental) return w.instrumentalFlag;
+        if (ctx.vocals === 'mostly-instrumental' && f.isInstrumental) return w.mostlyInstrumental;
+        if (ctx.vocals === 'vocal' && !f.isInstrumental) return w.vocalFlag;
+        return 0;
       }
+      if (ctx.vocals === 'instrumental' && f.text.includes('instrumental')) return w.instrumentalText;
+      if (ctx.vocals === 'mostly-instrumental' && f.text.includes('instrumental')) return w.mostlyInstrumental;
+      return 0;
     }
-    if (vocals === 'instrumental' && /instrumental|piano|ambient|nature/.test(text)) score += 1.5;
-    if (vocals === 'mostly-instrumental' && /instrumental|piano|acoustic/.test(text)) score += 0.8;
-    // API-sourced playlists get a small relevance bonus (SYB search already filtered)
-    if (p.source === 'api' || p.source === 'api-prompt') score += 1;
-    return { ...p, baseScore: score, text };
+    if (f.instrumentalRatio !== null && f.instrumentalRatio !== undefined) {
+      if (ctx.vocals === 'instrumental') return w.instrumentalFlag * f.instrumentalRatio;
+      if (ctx.vocals === 'mostly-instrumental') return w.mostlyInstrumental * f.instrumentalRatio;
+      if (ctx.vocals === 'vocal') return w.vocalFlag * (1 - f.instrumentalRatio);
+      return 0;
+    }
+    if (ctx.vocals === 'instrumental' && /instrumental|piano|ambient|nature/.test(f.text)) return w.instrumentalText;
+    if (ctx.vocals === 'mostly-instrumental' && /instrumental|piano|acoustic/.test(f.text)) return w.mostlyInstrumental;
+    return 0;
+  },
+
+  avoidPenalty(f, ctx) {
+    return avoidRuleMatches(f, ctx).reduce((sum, m) => sum + m.points, 0);
+  },
+
+  // Requested languages (the hard filter has already removed conflicting ones)
+  // and the guests' nationality both pull matching playlists up
+  languageFit(f, ctx) {
+    const w = ctx.weights;
+    let score = 0;
+    if (f.languages.some(l => ctx.languages.languages.includes(l))) score += w.languageMatch;
+    if (ctx.nationalityLanguage && f.languages.includes(ctx.nationalityLanguage)) score += w.nationalityMatch;
+    return score;
+  },
+
+  // Age-skewed era preference: "80s" playlists for guests who grew up then
+  eraFit(f, ctx) {
+    if (ctx.eras.length === 0 || f.eras.length === 0) return 0;
+    return f.eras.some(e => ctx.eras.includes(e)) ? ctx.weights.eraMatch : ctx.weights.eraMismatch;
+  },
+
+  // Learned shown-vs-selected prior: playlists customers keep rejecting sink
+  historicalPrior(f, ctx) {
+    const prior = ctx.priors.get(String(f.id));
+    if (!prior) return 0;
+    const cap = ctx.weights.priorMaxBoost;
+    return Math.max(-cap, Math.min(cap, prior.boost * ctx.weights.historicalPrior));
+  },
+
+  // Holiday-themed playlists: boosted inside their window, sunk outside it
+  seasonalFit(f, ctx) {
+    if (f.seasons.length === 0) return 0;
+    return f.seasons.some(s => ctx.seasons.some(w => w.key === s)) ? ctx.weights.seasonalMatch : ctx.weights.seasonalOffSeason;
+  },
+
+  // "More like this" / "less like this" on recommendation cards: pulled toward
+  // the closest liked card, pushed away from the closest thumbs-down card
+  cardFeedback(f, ctx) {
+    const { liked, disliked } = ctx.feedback;
+    if (liked.length === 0 && disliked.length === 0) return 0;
+    return ctx.weights.likedSimilarity * closestFeedback(f, liked).similarity
+      - ctx.weights.dislikedSimilarity * closestFeedback(f, disliked).similarity;
+  },
+
+  // Approved at the reference venue (or the most similar past venue)
+  referenceSeed(f, ctx) {
+    return ctx.seedIds.has(String(f.id)) ? ctx.weights.referenceSeed : 0;
+  },
+
+  // API-sourced playlists get a small relevance bonus (SYB search already filtered)
+  sourceBoost(f, ctx) {
+    return f.source === 'api' || f.source === 'api-prompt' ? ctx.weights.apiSource : 0;
+  },
+
+  // Tagged energy when the catalog has it, otherwise venue categories as a proxy
+  daypartCategory(f, ctx) {
+    if (f.energy > 0) return Math.abs(f.energy - ctx.energy) <= 1.5 ? ctx.weights.daypartCategory : 0;
+    const cats = ctx.energy <= 3 ? ['spa', 'lounge']
+      : ctx.energy <= 6 ? ['cafe', 'restaurant', 'hotel', 'lounge']
+      : ['bar', 'store', 'lounge'];
+    return f.categories.some(c => cats.includes(c)) ? ctx.weights.daypartCategory : 0;
+  },
+
+  daypartBpm(f, ctx) {
+    const w = ctx.weights;
+    const edge = ctx.energy <= 3 || ctx.energy > 6;
+    return (edge ? w.daypartBpmEdge : w.daypartBpmMid) * bpmShareForEnergy(f, ctx.energy);
+  },
+
+  // Calm moods for low-energy dayparts, lively moods for high-energy ones
+  daypartMood(f, ctx) {
+    if (ctx.energy <= 3) return ctx.weights.daypartMood * shareOf(f.moods, m => CALM_MOODS.includes(m));
+    if (ctx.energy > 6) return ctx.weights.daypartMood * shareOf(f.moods, m => LIVELY_MOODS.includes(m));
+    return 0;
+  },
+};
+
+// Weight profiles live in data/scoring-weights.json so the design team can tune
+// them without a deploy. The file is re-read when its mtime changes; a broken
+// edit keeps the last good version in memory.
+const SCORING_WEIGHTS_PATH = path.join(__dirname, 'data', 'scoring-weights.json');
+let scoringWeights = null;
+let scoringWeightsMtime = 0;
+
+function loadScoringWeights() {
+  try {
+    const mtime = fs.statSync(SCORING_WEIGHTS_PATH).mtimeMs;
+    if (scoringWeights && mtime === scoringWeightsMtime) return scoringWeights;
+    const parsed = JSON.parse(fs.readFileSync(SCORING_WEIGHTS_PATH, 'utf8'));
+    const base = parsed.profiles?.[parsed.defaultProfile];
+    if (!base || typeof base.weights !== 'object') throw new Error(`default profile "${parsed.defaultProfile}" missing weights`);
+    if (scoringWeights) console.log(`[Scoring] Reloaded weights v${parsed.version} (${Object.keys(parsed.profiles).length} profiles)`);
+    scoringWeights = parsed;
+    scoringWeightsMtime = mtime;
+  } catch (err) {
+    if (!scoringWeights) throw err;
+    console.error('[Scoring] Weights reload failed, keeping previous version:', err.message);
+    scoringWeightsMtime = 0;
   }
+  return scoringWeights;
+}
+loadScoringWeights();
+
+// Learned playlist priors (scripts/learn-playlist-priors.js). Optional — until
+// the job has run there is no file and every prior is zero. Reloaded on mtime
+// change like the weights file.
+const PLAYLIST_PRIORS_PATH = path.join(__dirname, 'data', 'playlist-priors.json');
+let playlistPriors = null;
+let playlistPriorsMtime = 0;
+
+function loadPlaylistPriors() {
+  let mtime;
+  try { mtime = fs.statSync(PLAYLIST_PRIORS_PATH).mtimeMs; } catch (e) { return playlistPriors; }
+  if (mtime === playlistPriorsMtime) return playlistPriors;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(PLAYLIST_PRIORS_PATH, 'utf8'));
+    if (!parsed.segments || typeof parsed.segments !== 'object') throw new Error('missing segments');
+    playlistPriors = parsed;
+    console.log(`[Priors] Loaded ${Object.keys(parsed.segments).length} segments from ${parsed.briefCount} briefs (${parsed.generatedAt})`);
+  } catch (err) {
+    console.error('[Priors] Failed to load playlist priors, keeping previous version:', err.message);
+  }
+  playlistPriorsMtime = mtime;
+  return playlistPriors;
+}
 
-  // Score catalog playlists + any extra API playlists
-  const catalogSybIds = new Set(PLAYLIST_CATALOG.map(p => p.sybId).filter(Boolean));
-  // Deduplicate API playlists that already exist in catalog (by sybId)
-  const uniqueExtras = extraPlaylists.filter(p => !catalogSybIds.has(p.sybId));
-  const allPlaylists = [...PLAYLIST_CATALOG, ...uniqueExtras];
-  const scored = allPlaylists.map(scorePlaylist);
+/**
+ * Prior boosts for one brief: the exact product|venueType|vibes segment when
+ * the job has seen it, otherwise the venue-type-wide segment.
+ * Returns Map<playlistId, { boost, shown, selected }>.
+ */
+function lookupPlaylistPriors(product, venueType, vibes) {
+  const priors = loadPlaylistPriors();
+  if (!priors) return new Map();
+  const vibeKey = vibes.length > 0 ? [...vibes].map(v => String(v).toLowerCase()).sort().join('+') : '*';
+  const seg = priors.segments[`${product}|${venueType || '*'}|${vibeKey}`]
+    || priors.segments[`${product}|${venueType || '*'}|*`];
+  return new Map(Object.entries(seg?.playlists || {}));
+}
+
+/**
+ * Resolve a weights profile to flat scorer constants for one venue type.
+ * `profile` is a profile name, an inline { weights, venueTypes } object, or
+ * empty for the file's default. Missing keys fall back to the default profile,
+ * then venueTypes[venueType] overrides are applied on top.
+ */
+function resolveScoringWeights(profile, venueType = '') {
+  const file = loadScoringWeights();
+  const defaults = file.profiles[file.defaultProfile];
+  let name = file.defaultProfile;
+  let chosen = defaults;
+  if (typeof profile === 'string' && profile) {
+    if (!file.profiles[profile]) throw new Error(`Unknown scoring profile: ${profile}`);
+    name = profile;
+    chosen = file.profiles[profile];
+  } else if (profile && typeof profile === 'object') {
+    name = profile.name || 'inline';
+    chosen = profile;
+  }
+
+  const override = chosen.venueTypes?.[venueType] || {};
+  const values = { ...defaults.weights, ...(chosen.weights || {}), ...override };
+  for (const [key, val] of Object.entries(values)) {
+    if (typeof val !== 'number' || !Number.isFinite(val)) throw new Error(`Scoring weight "${key}" must be a number`);
+  }
+  return { name, version: chosen.version || null, venueOverride: Object.keys(override).length > 0, values };
+}
+
+// Input check for the design-tool routes: why a posted profile can't be used
+// (unknown name, non-numeric weight), or null when it resolves
+function scoringProfileError(profile) {
+  if (profile === undefined || profile === null || profile === '') return null;
+  if (typeof profile !== 'string' && (typeof profile !== 'object' || Array.isArray(profile))) {
+    return 'A profile must be a profile name or a { weights, venueTypes } object.';
+  }
+  try {
+    const venueTypes = typeof profile === 'object' ? Object.keys(profile.venueTypes || {}) : [];
+    for (const venueType of ['', ...venueTypes]) resolveScoringWeights(profile, venueType);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Run the brief's vibes and genre hints as ranked queries against a catalog
+ * index. Returns { vibes: Map<vibe, Map<id, 0..1>>, hints: [Map<id, 0..1>] }
+ * with hints in ctx.genreHints order.
+ */
+function buildTextQueries(ctx, index) {
+  const vibes = new Map();
+  for (const vibe of ctx.vibes) {
+    const keywords = VIBE_KEYWORDS[vibe];
+    if (keywords) vibes.set(vibe, rankTextIndex(index, buildTextQuery(keywords)));
+  }
+  const hints = ctx.genreHints.map(h => rankTextIndex(index, buildTextQuery(h)));
+  return { vibes, hints };
+}
+
+// Track genre match is the strongest hint signal; sub-genre next, then ranked
+// full-text relevance scaled by how close this item is to the best hit. Genre
+// and sub-genre points scale with the share of tracks that match; the best of
+// the three counts. Returns [{ hint, points }] for the hints that matched.
+function genreHintMatches(f, ctx) {
+  const w = ctx.weights;
+  const matches = [];
+  ctx.genreHints.forEach((h, i) => {
+    const relevance = ctx.text.hints[i].get(f.id) || 0;
+    const genreShare = shareOf(f.genres, g => {
+      const genre = g.replace(/-/g, ' ');
+      return genre.includes(h) || h.includes(genre);
+    });
+    const subShare = shareOf(f.subGenres, sub => {
+      const s = sub.replace(/-/g, ' ');
+      return s.includes(h) || h.includes(s);
+    });
+    const points = Math.max(
+      w.genreHintTrack * genreShare,
+      w.genreHint * subShare,
+      relevance >= w.textRelevanceFloor ? w.genreHint * relevance : 0,
+    );
+    if (points > 0) matches.push({ hint: h, points });
+  });
+  return matches;
+}
+
+// Structured avoid list (see parseAvoidList). An item matching an exception
+// ("except live jazz") is exempt from every rule. Returns [{ rule, points }].
+function avoidRuleMatches(f, ctx) {
+  const avoid = ctx.avoid;
+  if (!hasAvoidRules(avoid)) return [];
+  const text = f.text.replace(/-/g, ' ');
+  const subGenre = f.subGenre.replace(/-/g, ' ');
+  if (avoid.exceptions.length > 0) {
+    const tokens = new Set(tokenizeText(`${text} ${f.genre} ${subGenre}`));
+    if (avoid.exceptions.some(exc => tokenizeText(exc).every(t => tokens.has(t)))) return [];
+  }
+
+  const w = ctx.weights;
+  const matches = [];
+  for (const term of avoid.genres) {
+    if (text.includes(term)) matches.push({ rule: term, points: w.avoidMatch });
+    if ((f.genre && f.genre.includes(term)) || (subGenre && subGenre.includes(term))) matches.push({ rule: term, points: w.avoidMatch });
+  }
+  for (const artist of avoid.artists) {
+    const name = artist.toLowerCase();
+    if (text.includes(name) || f.artists.includes(name)) matches.push({ rule: artist, points: w.avoidMatch });
+  }
+  for (const flag of avoid.intensity) {
+    if (AVOID_INTENSITY_SIGNALS[flag]?.(f)) matches.push({ rule: flag, points: w.avoidIntensity });
+  }
+  if (avoid.mainstream && /\b(?:hits|top 40|charts?|mainstream|popular)\b/.test(text)) {
+    matches.push({ rule: 'mainstream', points: w.avoidIntensity });
+  }
+  return matches;
+}
+
+/**
+ * Hard filter for explicit language requests. A playlist tagged with other
+ * languages is dropped; "X only" requests (without English) also drop untagged
+ * playlists. Instrumental/neutral playlists always pass. Languages on the avoid
+ * list ("no Thai music") drop playlists tagged with them.
+ */
+function passesLanguageFilter(f, ctx) {
+  if ((ctx.avoid?.languages || []).some(l => f.languages.includes(l))) return false;
+  const { languages, only } = ctx.languages;
+  if (languages.length === 0) return true;
+  if (f.languages.some(l => languages.includes(l))) return true;
+  if (LANGUAGE_NEUTRAL.test(f.text) || f.isInstrumental === true) return true;
+  if (f.languages.length > 0) return false;
+  return languages.includes('english') || !only;
+}
+
+function sumScorers(names, f, ctx) {
+  let score = 0;
+  for (const name of names) score += MATCH_SCORERS[name](f, ctx);
+  return score;
+}
+
+// Human-readable label and evidence for each scorer, used by explainScorers
+const MATCH_SIGNALS = {
+  categoryFit: { label: 'Category', detail: (f, ctx) => ctx.targetCats.filter(c => f.categories.includes(c)).join(', ') },
+  venueAffinity: { label: 'Venue genres', detail: (f, ctx) => ctx.targetCats.filter(c => f.categories.includes(c)).join(', ') },
+  vibeRelevance: {
+    label: 'Vibe keywords',
+    detail: (f, ctx) => [...ctx.text.vibes]
+      .filter(([, ranked]) => ranked.has(f.id))
+      .map(([vibe, ranked]) => `${vibe} ${Math.round(ranked.get(f.id) * 100)}%`)
+      .join(', '),
+  },
+  moodFit: {
+    label: 'Mood',
+    detail: (f, ctx) => formatShares(f.moods, m => ctx.vibes.some(v => m.includes(v.toLowerCase()) || v.toLowerCase().includes(m))),
+  },
+  genreHints: {
+    label: 'Genre hints',
+    detail: (f, ctx) => {
+      const matches = genreHintMatches(f, ctx);
+      return matches.length > 0 ? matches.map(m => m.hint).join(', ') : `none of ${ctx.genreHints.join(', ')}`;
+    },
+  },
+  bpmFit: { label: 'Energy/BPM', detail: (f, ctx) => formatBpmEvidence(f, ctx.energy) },
+  vocals: {
+    label: 'Vocals',
+    detail: (f, ctx) => (f.instrumentalRatio > 0 && f.instrumentalRatio < 1
+      ? `${ctx.vocals}: ${Math.round(f.instrumentalRatio * 100)}% of tracks instrumental`
+      : ctx.vocals),
+  },
+  avoidPenalty: { label: 'Avoid list', detail: (f, ctx) => [...new Set(avoidRuleMatches(f, ctx).map(m => m.rule))].join(', ') },
+  sourceBoost: { label: 'SYB search', detail: () => 'found by live catalog search' },
+  languageFit: {
+    label: 'Language',
+    detail: (f, ctx) => f.languages.filter(l => ctx.languages.languages.includes(l) || l === ctx.nationalityLanguage).join(', '),
+  },
+  eraFit: { label: 'Era', detail: (f, ctx) => `${f.eras.join(', ')} for ages ${ctx.eras.join('/')}` },
+  historicalPrior: {
+    label: 'Past selections',
+    detail: (f, ctx) => {
+      const prior = ctx.priors.get(String(f.id));
+      return prior ? `selected ${prior.selected} of ${prior.shown} times shown` : '';
+    },
+  },
+  seasonalFit: {
+    label: 'Season',
+    detail: (f, ctx) => {
+      const inSeason = ctx.seasons.filter(w => f.seasons.includes(w.key));
+      return inSeason.length > 0 ? `${inSeason.map(w => w.name).join(', ')} window` : `out of season (${f.seasons.join(', ')})`;
+    },
+  },
+  referenceSeed: { label: 'Similar venue', detail: () => 'approved for a comparable venue' },
+  cardFeedback: {
+    label: 'Card feedback',
+    detail: (f, ctx) => {
+      const like = closestFeedback(f, ctx.feedback.liked);
+      const unlike = closestFeedback(f, ctx.feedback.disliked);
+      return [
+        like.similarity > 0 ? `like "${like.name}" ${Math.round(like.similarity * 100)}%` : '',
+        unlike.similarity > 0 ? `like thumbs-down "${unlike.name}" ${Math.round(unlike.similarity * 100)}%` : '',
+      ].filter(Boolean).join(', ');
+    },
+  },
+  daypartCategory: { label: 'Daypart energy', detail: (f, ctx) => (f.energy > 0 ? `tagged ${f.energy} for energy ${ctx.energy}` : `energy ${ctx.energy}`) },
+  daypartBpm: { label: 'Daypart BPM', detail: (f, ctx) => formatBpmEvidence(f, ctx.energy) },
+  daypartMood: {
+    label: 'Daypart mood',
+    detail: (f, ctx) => `${formatShares(f.moods, m => (ctx.energy <= 3 ? CALM_MOODS : LIVELY_MOODS).includes(m))} for energy ${ctx.energy}`,
+  },
+};
+
+// "calm 60%, dreamy 20%" — single-mood histograms print just the mood
+function formatShares(histogram, test = () => true) {
+  const entries = Object.entries(histogram || {}).filter(([key]) => test(key));
+  if (entries.length === 1 && entries[0][1] === 1) return entries[0][0];
+  return entries.map(([key, share]) => `${key} ${Math.round(share * 100)}%`).join(', ');
+}
+
+// "92 BPM for energy 2", or for folders "median 92 BPM (IQR 14), 80% in range for energy 2"
+function formatBpmEvidence(f, energy) {
+  if (!f.bpms || f.bpms.length <= 1) return `${f.bpm} BPM for energy ${energy}`;
+  return `median ${f.bpm} BPM (IQR ${f.bpmSpread}), ${Math.round(bpmShareForEnergy(f, energy) * 100)}% in range for energy ${energy}`;
+}
+
+/** Like sumScorers, but returns the signals that fired: [{ signal, label, points, detail }]. */
+function explainScorers(names, f, ctx) {
+  const signals = [];
+  for (const name of names) {
+    const points = MATCH_SCORERS[name](f, ctx);
+    if (!points) continue;
+    const meta = MATCH_SIGNALS[name] || { label: name, detail: () => '' };
+    signals.push({ signal: name, label: meta.label, points: Math.round(points * 100) / 100, detail: meta.detail(f, ctx) || '' });
+  }
+  return signals;
+}
+
+function buildScoreBreakdown(source, features, ctx, dpCtx) {
+  const signals = [...explainScorers(source.baseScorers, features, ctx), ...explainScorers(source.daypartScorers, features, dpCtx)];
+  const total = signals.reduce((sum, s) => sum + s.points, 0);
+  return { total: Math.round(total * 100) / 100, signals };
+}
+
+// "Genre hints +4 (deep house, lounge); Category +4 (bar, lounge)" — strongest signals first
+function formatScoreEvidence(breakdown, limit = 3) {
+  if (!breakdown?.signals?.length) return '';
+  return [...breakdown.signals]
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .slice(0, limit)
+    .map(s => `${s.label} ${s.points > 0 ? '+' : '\u2212'}${Math.abs(s.points)}${s.detail ? ` (${s.detail})` : ''}`)
+    .join('; ');
+}
+
+// --- Diversity (maximal marginal relevance) ---
+// Similarity between two playlists: mostly name overlap, then description,
+// then categories (which most catalog entries share, so they count least).
+const MMR_POOL_SIZE = 40;
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function diversityProfile(f) {
+  // Dominant mood: the track mood when known, otherwise the vibe whose keywords the text hits most
+  let mood = f.mood || '';
+  if (!mood) {
+    let best = 0;
+    for (const [vibe, keywords] of Object.entries(VIBE_KEYWORDS)) {
+      const hits = keywords.filter(kw => f.text.includes(kw)).length;
+      if (hits > best) { best = hits; mood = vibe; }
+    }
+  }
+  return {
+    name: new Set(tokenizeText(f.name)),
+    description: new Set(tokenizeText(f.description)),
+    categories: new Set(f.categories),
+    mood,
+  };
+}
+
+function playlistSimilarity(a, b) {
+  return 0.6 * jaccard(a.name, b.name) + 0.3 * jaccard(a.description, b.description) + 0.1 * jaccard(a.categories, b.categories);
+}
+
+// Overlap of two feature sets for card feedback: genre/mood/sub-genre
+// histograms, venue categories and name/description words (0..1)
+function featureSimilarity(a, b) {
+  const overlap = (x = {}, y = {}) => Object.keys(x).reduce((n, k) => n + Math.min(x[k], y[k] || 0), 0);
+  const words = f => new Set(tokenizeText(`${f.name} ${f.description}`));
+  return 0.3 * overlap(a.genres, b.genres)
+    + 0.2 * overlap(a.moods, b.moods)
+    + 0.1 * overlap(a.subGenres, b.subGenres)
+    + 0.15 * jaccard(new Set(a.categories), new Set(b.categories))
+    + 0.25 * jaccard(words(a), words(b));
+}
+
+function closestFeedback(f, list) {
+  let best = { similarity: 0, name: '' };
+  for (const d of list) {
+    if (String(d.id) === String(f.id)) continue;
+    const similarity = featureSimilarity(f, d);
+    if (similarity > best.similarity) best = { similarity, name: d.name };
+  }
+  return best;
+}
+
+function buildEngineContext(data, source, items, options = {}) {
+  const weights = resolveScoringWeights(options.profile, data.venueType || '');
+  const ctx = {
+    ...buildMatchContext(data),
+    targetCats: source.targetCategories(data.venueType || ''),
+    weights: weights.values,
+  };
+  ctx.text = buildTextQueries(ctx, getCatalogTextIndex(source.key, source, items));
+  ctx.priors = lookupPlaylistPriors(source.key, ctx.venueType, ctx.vibes);
+  ctx.seedIds = new Set((options.seedIds || []).map(String));
+  const likedIds = new Set((options.likedIds || []).map(String));
+  const dislikedIds = new Set((options.dislikedIds || []).map(String));
+  const feedbackFeatures = ids => (ids.size > 0 ? items.map(source.features).filter(f => ids.has(String(f.id))) : []);
+  ctx.feedback = { liked: feedbackFeatures(likedIds), disliked: feedbackFeatures(dislikedIds) };
+  return { weights, ctx };
+}
 
-  // Per-daypart scoring: adjust for energy, pick top N, dedup across dayparts
+/**
+ * Attach a scoreBreakdown to recommendations picked outside the engine (the
+ * AI path of /api/recommend), scored against the same brief and weights.
+ */
+function explainRecommendations(data, dayparts, source, items, recs, options = {}) {
+  const { ctx } = buildEngineContext(data, source, items, options);
+  const byId = new Map(items.map(item => [source.features(item).id, item]));
+  return recs.map(rec => {
+    const item = byId.get(rec.playlistId);
+    if (!item) return rec;
+    const dp = dayparts.find(d => d.key === rec.daypart);
+    const dpCtx = { ...ctx, energy: dp ? dp.energy : ctx.energy };
+    return { ...rec, scoreBreakdown: buildScoreBreakdown(source, source.features(item), ctx, dpCtx) };
+  });
+}
+
+/**
+ * Rank a catalog against a brief and distribute picks across dayparts.
+ * `source` is a catalog adapter (see CATALOG_SOURCES) that turns raw items into
+ * features and decides which scorers apply. `options.profile` selects the
+ * weights profile (name or inline object, see resolveScoringWeights);
+ * `options.avoidIds` are playlists to keep out (e.g. the adjacent zone's picks) — only
+ * picked once the rest of a daypart's pool has run out;
+ * `options.seedIds` are a reference venue's approved playlists (see findReferenceBrief);
+ * `options.perDaypart` overrides the picks per daypart (default 12 spread evenly).
+ * Card feedback: `options.pinned` ([{ playlistId, daypart }]) are kept in their
+ * daypart and only the remaining slots are filled; `options.excludeIds` never
+ * come back; `options.likedIds` / `options.dislikedIds` feed the cardFeedback scorer.
+ */
+function runMatchEngine(data, dayparts, source, items, options = {}) {
+  dayparts = openDayparts(dayparts);
+  const { weights, ctx } = buildEngineContext(data, source, items, options);
+  const excludeIds = new Set((options.excludeIds || []).map(String));
+
+  const featured = items
+    .map(item => ({ item, features: source.features(item) }))
+    .filter(s => !excludeIds.has(String(s.features.id)));
+  const scored = featured
+    .filter(s => passesLanguageFilter(s.features, ctx))
+    .map(s => ({ ...s, baseScore: sumScorers(source.baseScorers, s.features, ctx) }));
+  const filteredOut = featured.length - scored.length;
+
+  // Per-daypart scoring: adjust for daypart energy, then pick N per daypart with
+  // MMR — relevance traded off against similarity to everything already picked
+  // this run, plus a penalty for repeating a mood within the daypart.
+  const { diversityLambda: lambda, moodRepeatPenalty } = ctx.weights;
+  const avoidIds = new Set(options.avoidIds || []);
   const usedIds = new Set();
-  const perDp = Math.ceil(12 / dayparts.length);
+  const picks = [];
+  const perDp = options.perDaypart || Math.ceil(12 / dayparts.length);
   const allRecs = [];
 
-  for (const dp of dayparts) {
-    const dpEnergyCats = dp.energy <= 3 ? ['spa', 'lounge']
-      : dp.energy <= 6 ? ['cafe', 'restaurant', 'hotel', 'lounge']
-      : ['bar', 'store', 'lounge'];
-
-    const dpScored = scored.map(p => ({
-      ...p,
-      dpScore: p.baseScore + (p.categories.some(c => dpEnergyCats.includes(c)) ? 1 : 0),
-    }));
-    dpScored.sort((a, b) => b.dpScore - a.dpScore);
+  // Pins keep their daypart (the first one if it no longer exists) and are
+  // reserved up front so no other daypart picks them
+  const pinsByDaypart = new Map(dayparts.map(dp => [dp.key, []]));
+  for (const pin of options.pinned || []) {
+    const s = featured.find(x => String(x.features.id) === String(pin.playlistId));
+    if (!s || usedIds.has(s.features.id) || dayparts.length === 0) continue;
+    const key = pinsByDaypart.has(pin.daypart) ? pin.daypart : dayparts[0].key;
+    pinsByDaypart.get(key).push(s);
+    usedIds.add(s.features.id);
+  }
 
-    let picked = 0;
-    for (const p of dpScored) {
-      if (picked >= perDp || p.dpScore <= 0) break;
-      if (usedIds.has(p.id)) continue;
-      usedIds.add(p.id);
+  for (const dp of dayparts) {
+    const dpCtx = { ...ctx, energy: dp.energy };
+    const dpMoods = new Set();
+    for (const s of pinsByDaypart.get(dp.key)) {
+      const diversity = diversityProfile(s.features);
+      picks.push(diversity);
+      if (diversity.mood) dpMoods.add(diversity.mood);
+      allRecs.push({
+        playlistId: s.features.id,
+        daypart: dp.key,
+        reason: source.reason(s.features, ctx),
+        rawScore: sumScorers(source.baseScorers, s.features, ctx) + sumScorers(source.daypartScorers, s.features, dpCtx),
+        scoreBreakdown: buildScoreBreakdown(source, s.features, ctx, dpCtx),
+        pinned: true,
+      });
+    }
 
-      const matchedVibes = vibes.filter(v =>
-        (vibeKw[v] || []).some(kw => p.text.includes(kw))
-      );
-      const vibeStr = matchedVibes.length > 0 ? matchedVibes.join(', ') : vibes[0] || 'selected';
-      const catMatch = targetCats.some(c => p.categories.includes(c));
-      const reason = catMatch
-        ? `${p.description} — fits your ${vibeStr} ${(venueType || 'venue').replace(/-/g, ' ')}`
-        : `${p.description} — complements the ${vibeStr} atmosphere`;
-
-      allRecs.push({ playlistId: p.id, daypart: dp.key, reason, rawScore: p.dpScore });
-      picked++;
+    const pool = scored
+      .filter(s => !usedIds.has(s.features.id))
+      .map(s => ({ ...s, dpScore: s.baseScore + sumScorers(source.daypartScorers, s.features, dpCtx) }))
+      .filter(s => s.dpScore > 0)
+      .sort((a, b) => b.dpScore - a.dpScore)
+      .slice(0, MMR_POOL_SIZE);
+    const topScore = pool.length > 0 ? pool[0].dpScore : 1;
+
+    for (let picked = pinsByDaypart.get(dp.key).length; picked < perDp && pool.length > 0; picked++) {
+      let bestIdx = 0;
+      let bestMmr = -Infinity;
+      const hasFresh = pool.some(s => !avoidIds.has(s.features.id));
+      pool.forEach((s, i) => {
+        if (hasFresh && avoidIds.has(s.features.id)) return;
+        if (!s.diversity) s.diversity = diversityProfile(s.features);
+        const redundancy = Math.max(0, ...picks.map(p => playlistSimilarity(s.diversity, p)));
+        const moodPenalty = s.diversity.mood && dpMoods.has(s.diversity.mood) ? moodRepeatPenalty : 0;
+        const mmr = lambda * (s.dpScore / topScore) - (1 - lambda) * redundancy - moodPenalty;
+        if (mmr > bestMmr) { bestMmr = mmr; bestIdx = i; }
+      });
+      const [s] = pool.splice(bestIdx, 1);
+      usedIds.add(s.features.id);
+      picks.push(s.diversity);
+      if (s.diversity.mood) dpMoods.add(s.diversity.mood);
+      allRecs.push({
+        playlistId: s.features.id,
+        daypart: dp.key,
+        reason: source.reason(s.features, ctx),
+        rawScore: s.dpScore,
+        scoreBreakdown: buildScoreBreakdown(source, s.features, ctx, dpCtx),
+      });
     }
   }
 
@@ -579,14 +2073,169 @@ function deterministicMatch(data, dayparts, extraPlaylists = []) {
       playlistId: r.playlistId,
       daypart: r.daypart,
       reason: r.reason,
-      matchScore: Math.round(55 + (r.rawScore / maxRaw) * 40),
+      matchScore: Math.round(55 + (Math.max(0, r.rawScore) / maxRaw) * 40),
+      scoreBreakdown: r.scoreBreakdown,
+      ...(r.pinned ? { pinned: true } : {}),
     })),
-    designerNotes: 'Generated via keyword matching with AI genre direction. Please review and adjust.',
+    designerNotes: [
+      source.designerNotes,
+      filteredOut > 0 ? `Language filter (${ctx.languages.languages.join(', ')}${ctx.languages.only ? ' only' : ''}) excluded ${filteredOut} playlist(s).` : '',
+      ctx.seasons.length > 0 ? `Seasonal window: ${ctx.seasons.map(w => `${w.name} (${w.start} → ${w.end})`).join(', ')}.` : '',
+    ].filter(Boolean).join(' '),
+    weightsProfile: { name: weights.name, version: weights.version },
   };
 }
 
+// ---------------------------------------------------------------------------
+// Catalog sources — one adapter per product, plugged into runMatchEngine
+// ---------------------------------------------------------------------------
+// Catalog vocals tag → share of instrumental tracks, for the vocals scorer
+const SYB_INSTRUMENTAL_RATIO = { instrumental: 1, 'mostly-instrumental': 0.75, vocal: 0 };
+
+const SYB_VENUE_CATEGORIES = {
+  'hotel-lobby': ['hotel', 'lounge'],
+  restaurant: ['restaurant'],
+  'bar-lounge': ['bar', 'lounge'],
+  'spa-wellness': ['spa'],
+  cafe: ['cafe', 'lounge'],
+  'fashion-retail': ['store'],
+  coworking: ['lounge'],
+  'pool-beach': ['hotel', 'lounge'],
+  'gym-fitness': ['store'],
+  qsr: ['restaurant'],
+};
+
+// Venue type → preferred Beat Breeze genres (replaces the old zone tag system)
+const BEATBREEZE_VENUE_GENRES = {
+  'hotel-lobby': ['jazz', 'classical', 'ambient', 'lounge', 'bossa-nova', 'chill'],
+  restaurant: ['jazz', 'bossa-nova', 'lounge', 'classical', 'world'],
+  'bar-lounge': ['jazz', 'electronic', 'lounge', 'blues', 'chill'],
+  'spa-wellness': ['ambient', 'classical', 'chill', 'world'],
+  cafe: ['lofi', 'jazz', 'bossa-nova', 'pop', 'chill'],
+  'fashion-retail': ['electronic', 'pop', 'lounge'],
+  coworking: ['lofi', 'ambient', 'chill', 'classical'],
+  'pool-beach': ['electronic', 'latin', 'chill', 'afro'],
+  'gym-fitness': ['electronic', 'pop', 'afro'],
+  qsr: ['pop', 'lofi', 'electronic'],
+};
+
+const CATALOG_SOURCES = {
+  syb: {
+    key: 'syb',
+    baseScorers: ['categoryFit', 'vibeRelevance', 'moodFit', 'genreHints', 'bpmFit', 'vocals', 'languageFit', 'eraFit', 'avoidPenalty', 'sourceBoost', 'seasonalFit', 'historicalPrior', 'referenceSeed', 'cardFeedback'],
+    daypartScorers: ['daypartCategory', 'daypartBpm', 'daypartMood'],
+    targetCategories: venueType => SYB_VENUE_CATEGORIES[venueType] || [],
+    // Catalog tags (scripts/tag-syb-catalog.js) fill the same dimensions Beat Breeze
+    // gets from track metadata; untagged and API playlists fall back to keywords.
+    features: p => ({
+      id: p.id,
+      name: p.name,
+      description: p.description || '',
+      text: `${p.name} ${p.description || ''}`.toLowerCase(),
+      categories: p.categories || [],
+      genre: p.tags?.genre || '',
+      subGenre: '',
+      mood: p.tags?.mood || '',
+      genres: p.tags?.genre ? { [p.tags.genre]: 1 } : {},
+      subGenres: {},
+      moods: p.tags?.mood ? { [p.tags.mood]: 1 } : {},
+      energy: p.tags?.energy || 0,
+      bpm: p.tags?.bpm || 0,
+      bpms: p.tags?.bpm ? [p.tags.bpm] : [],
+      bpmSpread: 0,
+      isInstrumental: p.tags?.vocals === 'instrumental' ? true : p.tags?.vocals === 'vocal' ? false : null,
+      instrumentalRatio: SYB_INSTRUMENTAL_RATIO[p.tags?.vocals] ?? null,
+      artists: [],
+      languages: detectPlaylistLanguages(`${p.name} ${p.description || ''}`.toLowerCase()),
+      eras: detectPlaylistEras(`${p.name} ${p.description || ''}`.toLowerCase()),
+      seasons: detectPlaylistSeasons(`${p.name} ${p.description || ''}`.toLowerCase()),
+      source: p.source || 'catalog',
+    }),
+    indexDocument: p => ({
+      id: p.id,
+      name: p.name,
+      body: `${p.description || ''} ${(p.categories || []).join(' ')}`,
+    }),
+    reason(f, ctx) {
+      const matchedVibes = ctx.vibes.filter(v => ctx.text.vibes.get(v)?.has(f.id));
+      const vibeStr = matchedVibes.length > 0 ? matchedVibes.join(', ') : ctx.vibes[0] || 'selected';
+      const catMatch = ctx.targetCats.some(c => f.categories.includes(c));
+      return catMatch
+        ? `${f.description} — fits your ${vibeStr} ${(ctx.venueType || 'venue').replace(/-/g, ' ')}`
+        : `${f.description} — complements the ${vibeStr} atmosphere`;
+    },
+    designerNotes: 'Generated via ranked full-text matching with AI genre direction. Please review and adjust.',
+  },
+
+  beatbreeze: {
+    key: 'beatbreeze',
+    baseScorers: ['genreHints', 'moodFit', 'vibeRelevance', 'venueAffinity', 'bpmFit', 'vocals', 'languageFit', 'eraFit', 'avoidPenalty', 'seasonalFit', 'historicalPrior', 'referenceSeed', 'cardFeedback'],
+    daypartScorers: ['daypartBpm', 'daypartMood'],
+    targetCategories: venueType => BEATBREEZE_VENUE_GENRES[venueType] || [],
+    // Folder profiles (see buildFolderProfile) summarise every track; the
+    // dominant genre, mood and median BPM stand in where a single value is needed
+    features(folder) {
+      const profile = beatbreezeProfiles.get(folder.id) || buildFolderProfile(folder);
+      const common = histogram => Object.keys(histogram).filter(key => histogram[key] >= FOLDER_COMMON_SHARE);
+      const ratio = profile.instrumentalRatio;
+      return {
+        id: folder.id,
+        name: folder.name,
+        description: folder.description || '',
+        text: `${folder.name} ${folder.description || ''}`.toLowerCase(),
+        categories: common(profile.genres),
+        genre: dominantKey(profile.genres),
+        subGenre: dominantKey(profile.subGenres),
+        mood: dominantKey(profile.moods),
+        genres: profile.genres,
+        subGenres: profile.subGenres,
+        moods: profile.moods,
+        bpm: profile.bpm.median,
+        bpms: profile.bpm.values,
+        bpmSpread: profile.bpm.spread,
+        isInstrumental: ratio === null ? null : ratio >= 0.8 ? true : ratio <= 0.2 ? false : null,
+        instrumentalRatio: ratio,
+        artists: [...new Set((folder.tracks || []).map(t => (t.artist || '').toLowerCase()).filter(Boolean))],
+        languages: detectPlaylistLanguages(`${folder.name} ${folder.description || ''} ${common(profile.subGenres).join(' ')} ${common(profile.regions).join(' ')}`.toLowerCase()),
+        eras: detectPlaylistEras(`${folder.name} ${folder.description || ''}`.toLowerCase()),
+        seasons: detectPlaylistSeasons(`${folder.name} ${folder.description || ''}`.toLowerCase()),
+        source: 'beatbreeze',
+      };
+    },
+    // Folder text plus every track's genre, mood and sub-genre/region tags
+    indexDocument(folder) {
+      const words = new Set();
+      for (const t of folder.tracks || []) {
+        if (t.genre) words.add(t.genre);
+        if (t.mood) words.add(t.mood);
+        for (const tag of parseTrackTags(t)) {
+          if (typeof tag === 'string') words.add(tag.replace(/^(sub|region):/, '').replace(/-/g, ' '));
+        }
+      }
+      return { id: folder.id, name: folder.name, body: `${folder.description || ''} ${[...words].join(' ')}` };
+    },
+    reason(f, ctx) {
+      const moodStr = f.mood || ctx.vibes[0] || 'curated';
+      const genreStr = f.subGenre ? f.subGenre.replace(/-/g, ' ') : (f.genre || '');
+      const venueStr = (ctx.venueType || 'venue').replace(/-/g, ' ');
+      return genreStr
+        ? `${moodStr} ${genreStr} — great fit for your ${venueStr}`
+        : `${f.name} — ${moodStr} music for your ${venueStr}`;
+    },
+    designerNotes: 'Generated via Beat Breeze track-metadata matching (genre, mood, BPM, vocal/instrumental).',
+  },
+};
+
+function deterministicMatch(data, dayparts, extraPlaylists = [], options = {}) {
+  // Deduplicate API playlists that already exist in catalog (by sybId)
+  const catalog = loadPlaylistCatalog();
+  const catalogSybIds = new Set(catalog.map(p => p.sybId).filter(Boolean));
+  const uniqueExtras = extraPlaylists.filter(p => !catalogSybIds.has(p.sybId));
+  return runMatchEngine(data, dayparts, CATALOG_SOURCES.syb, [...catalog, ...uniqueExtras], options);
+}
+
 function enrichRecommendations(aiResult, apiPlaylistMap = {}) {
-  const catalogMap = Object.fromEntries(PLAYLIST_CATALOG.map(p => [p.id, p]));
+  const catalogMap = Object.fromEntries(loadPlaylistCatalog().map(p => [p.id, p]));
   return {
     ...aiResult,
     recommendations: aiResult.recommendations.map(rec => {
@@ -607,181 +2256,90 @@ function enrichRecommendations(aiResult, apiPlaylistMap = {}) {
       };
     }).filter(Boolean),
   };
-}
-
-// ---------------------------------------------------------------------------
-// Beat Breeze Matching Algorithm (tag-based scoring)
-// ---------------------------------------------------------------------------
-function beatBreezeMatch(data, dayparts) {
-  if (beatbreezeCatalog.length === 0) return { recommendations: [], designerNotes: 'Beat Breeze catalog not loaded.' };
-
-  const vibes = Array.isArray(data.vibes) ? data.vibes : [data.vibes].filter(Boolean);
-  const energy = parseInt(data.energy, 10) || 5;
-  const venueType = data.venueType || '';
-  const avoidList = (data.avoidList || '').toLowerCase();
-  const vocals = data.vocals || '';
-  const genreHints = data.genreHints || [];
-
-  // Venue type → preferred genres (replaces the old zone tag system)
-  const venueGenreAffinity = {
-    'hotel-lobby': ['jazz', 'classical', 'ambient', 'lounge', 'bossa-nova', 'chill'],
-    restaurant: ['jazz', 'bossa-nova', 'lounge', 'classical', 'world'],
-    'bar-lounge': ['jazz', 'electronic', 'lounge', 'blues', 'chill'],
-    'spa-wellness': ['ambient', 'classical', 'chill', 'world'],
-    cafe: ['lofi', 'jazz', 'bossa-nova', 'pop', 'chill'],
-    'fashion-retail': ['electronic', 'pop', 'lounge'],
-    coworking: ['lofi', 'ambient', 'chill', 'classical'],
-    'pool-beach': ['electronic', 'latin', 'chill', 'afro'],
-    'gym-fitness': ['electronic', 'pop', 'afro'],
-    qsr: ['pop', 'lofi', 'electronic'],
-  };
-  const preferredGenres = venueGenreAffinity[venueType] || [];
-
-  // Helper: extract track-level metadata from first track (representative of whole playlist)
-  function getTrackMeta(folder) {
-    const t = (folder.tracks || [])[0];
-    if (!t) return { genre: '', mood: '', energy: '', bpm: 0, isInstrumental: null, subGenre: '', region: '', trackTags: [] };
-    // Parse tags — could be a JSON string or array
-    let trackTags = [];
-    if (typeof t.tags === 'string') { try { trackTags = JSON.parse(t.tags); } catch(e) { trackTags = []; } }
-    else if (Array.isArray(t.tags)) { trackTags = t.tags; }
-    const subTag = trackTags.find(tag => typeof tag === 'string' && tag.startsWith('sub:'));
-    const regionTag = trackTags.find(tag => typeof tag === 'string' && tag.startsWith('region:'));
-    return {
-      genre: (t.genre || '').toLowerCase(),
-      mood: (t.mood || '').toLowerCase(),
-      energy: (t.energy || '').toUpperCase(),
-      bpm: t.tempoBpm || 0,
-      isInstrumental: t.isInstrumental,
-      subGenre: subTag ? subTag.replace('sub:', '') : '',
-      region: regionTag ? regionTag.replace('region:', '') : '',
-      trackTags,
-    };
-  }
-
-  function scoreFolder(folder) {
-    let score = 0;
-    const meta = getTrackMeta(folder);
-    const text = `${folder.name} ${folder.description || ''}`.toLowerCase();
-
-    // 1. Genre match: genreHints → track genre + sub-genre + name/desc (+3 for genre, +2 for sub/text)
-    let hintMatches = 0;
-    for (const hint of genreHints) {
-      const h = hint.toLowerCase().replace(/-/g, ' ');
-      if (meta.genre && (meta.genre.includes(h) || h.includes(meta.genre))) {
-        score += 3; hintMatches++;
-      } else if (meta.subGenre && (meta.subGenre.replace(/-/g, ' ').includes(h) || h.includes(meta.subGenre.replace(/-/g, ' ')))) {
-        score += 2; hintMatches++;
-      } else if (text.includes(h)) {
-        score += 2; hintMatches++;
-      }
-    }
-    if (genreHints.length >= 2 && hintMatches === 0) score -= 5;
-
-    // 2. Mood match: vibes → track mood (+2 each)
-    if (meta.mood) {
-      for (const vibe of vibes) {
-        const v = vibe.toLowerCase();
-        if (meta.mood.includes(v) || v.includes(meta.mood)) score += 2;
-      }
-    }
-
-    // 3. Venue affinity: track genre in preferred genres for this venue type (+2)
-    if (meta.genre && preferredGenres.includes(meta.genre)) score += 2;
+}
 
-    // 4. BPM-based energy fit (+1)
-    if (meta.bpm > 0) {
-      if (energy <= 3 && meta.bpm < 100) score += 1;
-      else if (energy >= 4 && energy <= 6 && meta.bpm >= 90 && meta.bpm <= 135) score += 1;
-      else if (energy > 6 && meta.bpm > 120) score += 1;
-    }
+// ---------------------------------------------------------------------------
+// Beat Breeze Matching Algorithm (tag-based scoring)
+// ---------------------------------------------------------------------------
 
-    // 5. Vocals preference: use isInstrumental flag (+2 exact match, +0.8 partial)
-    if (meta.isInstrumental !== null && meta.isInstrumental !== undefined) {
-      if (vocals === 'instrumental' && meta.isInstrumental) score += 2;
-      else if (vocals === 'mostly-instrumental' && meta.isInstrumental) score += 0.8;
-      else if (vocals === 'vocal' && !meta.isInstrumental) score += 1.5;
-    } else {
-      // Fallback to text matching
-      if (vocals === 'instrumental' && text.includes('instrumental')) score += 1.5;
-      if (vocals === 'mostly-instrumental' && text.includes('instrumental')) score += 0.8;
-    }
+// Track tags — could be a JSON string or array
+function parseTrackTags(t) {
+  if (typeof t.tags === 'string') { try { const parsed = JSON.parse(t.tags); return Array.isArray(parsed) ? parsed : []; } catch(e) { return []; } }
+  return Array.isArray(t.tags) ? t.tags : [];
+}
 
-    // 6. Avoid list penalty (-10 per match)
-    if (avoidList) {
-      const avoidTerms = avoidList
-        .replace(/\bno\b/gi, '').replace(/\bhits\b/gi, '').replace(/\bmainstream\b/gi, '')
-        .split(/[,;]+|\b(?:and|or)\b/i)
-        .map(s => s ? s.trim().toLowerCase() : '')
-        .filter(s => s && s.length > 1);
-      const normalizedText = text.replace(/-/g, ' ');
-      for (const term of avoidTerms) {
-        const nt = term.replace(/-/g, ' ');
-        if (normalizedText.includes(nt)) score -= 10;
-        if (meta.genre.includes(nt) || meta.subGenre.replace(/-/g, ' ').includes(nt)) score -= 10;
-      }
-    }
+// A genre/sub-genre/region held by at least this share of a folder's tracks
+// counts as one of the folder's own (venue genre fit, language detection)
+const FOLDER_COMMON_SHARE = 0.25;
 
-    return { ...folder, baseScore: score, text, meta };
-  }
+// { value: share } over the tracks that have a value, most common first
+function shareHistogram(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  const total = [...counts.values()].reduce((n, c) => n + c, 0);
+  return Object.fromEntries([...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([v, c]) => [v, Math.round((c / total) * 1000) / 1000]));
+}
 
-  const scored = beatbreezeCatalog.map(scoreFolder);
+function dominantKey(histogram) {
+  return Object.keys(histogram)[0] || '';
+}
 
-  // Per-daypart scoring: adjust by BPM fit for the daypart's energy level
-  const usedIds = new Set();
-  const perDp = Math.ceil(12 / dayparts.length);
-  const allRecs = [];
+function quantile(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
 
-  for (const dp of dayparts) {
-    const dpScored = scored.map(p => {
-      let bonus = 0;
-      if (p.meta.bpm > 0) {
-        if (dp.energy <= 3 && p.meta.bpm < 100) bonus += 1.5;
-        else if (dp.energy >= 4 && dp.energy <= 6 && p.meta.bpm >= 90 && p.meta.bpm <= 135) bonus += 1;
-        else if (dp.energy > 6 && p.meta.bpm > 120) bonus += 1.5;
-      }
-      // Mood-energy alignment: calm/peaceful moods for low energy, energetic/upbeat for high
-      if (dp.energy <= 3 && ['calm', 'peaceful', 'dreamy', 'mellow'].includes(p.meta.mood)) bonus += 1;
-      else if (dp.energy > 6 && ['energetic', 'upbeat', 'lively', 'groovy', 'festive', 'cheerful'].includes(p.meta.mood)) bonus += 1;
-      return { ...p, dpScore: p.baseScore + bonus };
-    });
-    dpScored.sort((a, b) => b.dpScore - a.dpScore);
-
-    let picked = 0;
-    for (const p of dpScored) {
-      if (picked >= perDp || p.dpScore <= 0) break;
-      if (usedIds.has(p.id)) continue;
-      usedIds.add(p.id);
-
-      // Build reason using actual metadata
-      const moodStr = p.meta.mood || vibes[0] || 'curated';
-      const genreStr = p.meta.subGenre ? p.meta.subGenre.replace(/-/g, ' ') : (p.meta.genre || '');
-      const venueStr = (venueType || 'venue').replace(/-/g, ' ');
-      const reason = genreStr
-        ? `${moodStr} ${genreStr} — great fit for your ${venueStr}`
-        : `${p.name} — ${moodStr} music for your ${venueStr}`;
+/**
+ * Folder-level profile over every track, so one odd opener can't misclassify
+ * the playlist: BPM median and interquartile spread, share of instrumental
+ * tracks (null when no track is flagged), and genre/sub-genre/mood/region
+ * histograms. Built once per catalog refresh (see refreshBeatBreezeCatalog).
+ */
+function buildFolderProfile(folder) {
+  const tracks = folder.tracks || [];
+  const tagsOf = tracks.map(t => parseTrackTags(t).filter(tag => typeof tag === 'string'));
+  const tagValues = prefix => tagsOf.flatMap(tags => tags.filter(tag => tag.startsWith(prefix)).map(tag => tag.slice(prefix.length)));
 
-      allRecs.push({ playlistId: p.id, daypart: dp.key, reason, rawScore: p.dpScore });
-      picked++;
-    }
-  }
+  const bpms = tracks.map(t => Number(t.tempoBpm)).filter(b => b > 0).sort((a, b) => a - b);
+  const flagged = tracks.filter(t => typeof t.isInstrumental === 'boolean');
 
-  const maxRaw = Math.max(...allRecs.map(r => r.rawScore), 1);
   return {
-    recommendations: allRecs.map(r => ({
-      playlistId: r.playlistId,
-      daypart: r.daypart,
-      reason: r.reason,
-      matchScore: Math.round(55 + (r.rawScore / maxRaw) * 40),
-    })),
-    designerNotes: 'Generated via Beat Breeze track-metadata matching (genre, mood, BPM, vocal/instrumental).',
+    trackCount: tracks.length,
+    bpm: {
+      median: Math.round(quantile(bpms, 0.5)),
+      spread: Math.round(quantile(bpms, 0.75) - quantile(bpms, 0.25)),
+      values: bpms,
+    },
+    instrumentalRatio: flagged.length > 0
+      ? Math.round((flagged.filter(t => t.isInstrumental).length / flagged.length) * 1000) / 1000
+      : null,
+    genres: shareHistogram(tracks.map(t => (t.genre || '').toLowerCase())),
+    subGenres: shareHistogram(tagValues('sub:')),
+    moods: shareHistogram(tracks.map(t => (t.mood || '').toLowerCase())),
+    regions: shareHistogram(tagValues('region:')),
   };
 }
 
-/** Pick up to `count` tracks with maximum artist diversity via round-robin. */
-function pickDiverseTracks(tracks, count) {
-  if (!tracks || tracks.length <= count) return tracks || [];
-  // Group tracks by artist
+function beatBreezeMatch(data, dayparts, options = {}) {
+  if (beatbreezeCatalog.length === 0) return { recommendations: [], designerNotes: 'Beat Breeze catalog not loaded.' };
+  return runMatchEngine(data, dayparts, CATALOG_SOURCES.beatbreeze, beatbreezeCatalog, options);
+}
+
+/**
+ * Pick up to `count` tracks with maximum artist diversity via round-robin.
+ * Options: `shuffle` (default true) randomises the artist order for variety
+ * between requests — pass false to keep the input ranking, best artist first;
+ * `maxPerArtist` caps how many tracks any one artist contributes.
+ */
+function pickDiverseTracks(tracks, count, options = {}) {
+  const { shuffle = true, maxPerArtist = Infinity } = options;
+  if (!tracks || (tracks.length <= count && maxPerArtist === Infinity)) return tracks || [];
+  // Group tracks by artist (insertion order follows the input ranking)
   const byArtist = {};
   for (const t of tracks) {
     const key = (t.artist || '').toLowerCase();
@@ -790,14 +2348,15 @@ function pickDiverseTracks(tracks, count) {
   }
   // Round-robin across artists
   const artists = Object.keys(byArtist);
-  // Shuffle artist order for variety between requests
-  for (let i = artists.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [artists[i], artists[j]] = [artists[j], artists[i]];
+  if (shuffle) {
+    for (let i = artists.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [artists[i], artists[j]] = [artists[j], artists[i]];
+    }
   }
   const result = [];
   let round = 0;
-  while (result.length < count) {
+  while (result.length < count && round < maxPerArtist) {
     let added = false;
     for (const a of artists) {
       if (result.length >= count) break;
@@ -834,6 +2393,209 @@ function enrichBeatBreezeRecommendations(result) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Beat Breeze Custom Playlist Builder (track level, whole library)
+// ---------------------------------------------------------------------------
+const CUSTOM_PLAYLIST_MIN_TRACKS = 8;
+const CUSTOM_PLAYLIST_MAX_TRACKS = 40;       // per daypart — the player loops it
+const CUSTOM_PLAYLIST_TRACK_SECONDS = 210;   // assumed length when a track has no duration
+const CUSTOM_PLAYLIST_ARTIST_GAP = 6;        // tracks before an artist may play again
+const CUSTOM_PLAYLIST_MAX_PER_ARTIST = 3;    // per daypart
+const CUSTOM_PLAYLIST_BPM_STEP = 12;         // tempo jump between neighbours that costs nothing
+const CUSTOM_PLAYLIST_LIKED_FOLDER_BONUS = 2;
+const TRACK_ENERGY_LEVELS = { LOW: 3, MEDIUM: 5.5, HIGH: 8 };
+
+// Track energy on the brief's 1-10 scale: the tagged level, else estimated from tempo
+function trackEnergy(t) {
+  const tagged = TRACK_ENERGY_LEVELS[String(t.energy || '').toUpperCase()];
+  if (tagged) return tagged;
+  const bpm = Number(t.tempoBpm) || 0;
+  return bpm > 0 ? clamp(Math.round((bpm - 60) / 8), 1, 10) : 5;
+}
+
+function energyToBpm(energy) {
+  return 60 + energy * 8;
+}
+
+// Every track in the cached catalog once (a track can sit in several folders),
+// rebuilt when the catalog refreshes so the text index cache stays valid
+let trackLibraryCache = { catalog: null, items: [] };
+
+function beatBreezeTrackLibrary() {
+  if (trackLibraryCache.catalog === beatbreezeCatalog) return trackLibraryCache.items;
+  const seen = new Set();
+  const items = [];
+  for (const folder of beatbreezeCatalog) {
+    for (const track of folder.tracks || []) {
+      if (track.id === undefined || seen.has(String(track.id))) continue;
+      seen.add(String(track.id));
+      items.push({ track, folder });
+    }
+  }
+  trackLibraryCache = { catalog: beatbreezeCatalog, items };
+  return items;
+}
+
+// Catalog adapter over single tracks, for buildEngineContext and the shared scorers
+const BEATBREEZE_TRACK_SOURCE = {
+  key: 'beatbreeze-tracks',
+  baseScorers: ['genreHints', 'moodFit', 'vibeRelevance', 'venueAffinity', 'vocals', 'languageFit', 'eraFit', 'seasonalFit'],
+  targetCategories: venueType => BEATBREEZE_VENUE_GENRES[venueType] || [],
+  features({ track: t, folder }) {
+    const tags = parseTrackTags(t).filter(tag => typeof tag === 'string');
+    const subGenre = tags.find(tag => tag.startsWith('sub:'))?.slice(4) || '';
+    const region = tags.find(tag => tag.startsWith('region:'))?.slice(7) || '';
+    const genre = (t.genre || '').toLowerCase();
+    const mood = (t.mood || '').toLowerCase();
+    const bpm = Number(t.tempoBpm) || 0;
+    const flagged = typeof t.isInstrumental === 'boolean';
+    const text = `${t.title || ''} ${t.artist || ''} ${folder.name}`.toLowerCase();
+    return {
+      id: String(t.id),
+      name: t.title || '',
+      description: folder.name,
+      text,
+      categories: genre ? [genre] : [],
+      genre,
+      subGenre,
+      mood,
+      genres: genre ? { [genre]: 1 } : {},
+      subGenres: subGenre ? { [subGenre]: 1 } : {},
+      moods: mood ? { [mood]: 1 } : {},
+      energy: trackEnergy(t),
+      bpm,
+      bpms: bpm > 0 ? [bpm] : [],
+      bpmSpread: 0,
+      isInstrumental: flagged ? t.isInstrumental : null,
+      instrumentalRatio: flagged ? (t.isInstrumental ? 1 : 0) : null,
+      explicit: t.explicit === true,
+      artists: t.artist ? [t.artist.toLowerCase()] : [],
+      languages: detectPlaylistLanguages(`${text} ${subGenre} ${region}`),
+      eras: detectPlaylistEras(text),
+      seasons: detectPlaylistSeasons(text),
+      source: 'beatbreeze',
+    };
+  },
+  indexDocument({ track: t, folder }) {
+    const tags = parseTrackTags(t).filter(tag => typeof tag === 'string').map(tag => tag.replace(/^(sub|region):/, '').replace(/-/g, ' '));
+    return { id: String(t.id), name: t.title || '', body: `${t.artist || ''} ${t.genre || ''} ${t.mood || ''} ${tags.join(' ')} ${folder.name}` };
+  },
+};
+
+// Target energy at position 0..1 of a daypart: ramps in from the hand-off with
+// the previous daypart, through the daypart's own energy, out to the next hand-off
+function energyRampAt(dayparts, i, position) {
+  const own = dayparts[i].energy;
+  const start = i > 0 ? (dayparts[i - 1].energy + own) / 2 : own;
+  const end = i < dayparts.length - 1 ? (own + dayparts[i + 1].energy) / 2 : own;
+  return position < 0.5
+    ? start + (own - start) * position * 2
+    : own + (end - own) * (position - 0.5) * 2;
+}
+
+function daypartTrackCount(dp, averageSeconds) {
+  const range = parseTimeRange(dp.timeRange);
+  if (!range) return CUSTOM_PLAYLIST_MIN_TRACKS * 2;
+  return clamp(Math.round((rangeMinutes(range) * 60) / averageSeconds), CUSTOM_PLAYLIST_MIN_TRACKS, CUSTOM_PLAYLIST_MAX_TRACKS);
+}
+
+/**
+ * Assemble a named, track-by-track playlist per daypart from the whole Beat
+ * Breeze library. Tracks on the avoid list or outside a language request are
+ * excluded; the rest are ranked with the shared scorers, thinned to a few per
+ * artist (pickDiverseTracks), then sequenced slot by slot along an energy ramp
+ * with BPM continuity and a minimum gap between plays of the same artist.
+ * Options: `tracksPerDaypart`, `excludeTrackIds`, `likedFolderIds` (tracks from
+ * folders the customer liked get a bonus), `profile` (scoring weights).
+ * Returns null when the catalog isn't loaded.
+ */
+function buildCustomBeatBreezePlaylist(data, dayparts, options = {}) {
+  dayparts = openDayparts(dayparts);
+  const library = beatBreezeTrackLibrary();
+  if (library.length === 0 || dayparts.length === 0) return null;
+
+  const { ctx } = buildEngineContext(data, BEATBREEZE_TRACK_SOURCE, library, { profile: options.profile });
+  const excludeIds = new Set((options.excludeTrackIds || []).map(String));
+  const likedFolders = new Set((options.likedFolderIds || []).map(String));
+
+  let excludedCount = 0;
+  const candidates = [];
+  for (const item of library) {
+    const f = BEATBREEZE_TRACK_SOURCE.features(item);
+    if (excludeIds.has(f.id) || avoidRuleMatches(f, ctx).length > 0 || !passesLanguageFilter(f, ctx)) {
+      excludedCount++;
+      continue;
+    }
+    const bonus = likedFolders.has(String(item.folder.id)) ? CUSTOM_PLAYLIST_LIKED_FOLDER_BONUS : 0;
+    candidates.push({ ...item, f, artist: item.track.artist || '', relevance: sumScorers(BEATBREEZE_TRACK_SOURCE.baseScorers, f, ctx) + bonus });
+  }
+  const maxRelevance = candidates.reduce((max, c) => Math.max(max, c.relevance), 1);
+  const durations = library.map(({ track }) => Number(track.duration) || 0).filter(d => d > 0);
+  const averageSeconds = durations.length > 0 ? durations.reduce((n, d) => n + d, 0) / durations.length : CUSTOM_PLAYLIST_TRACK_SECONDS;
+
+  const audioBaseUrl = process.env.AUDIO_SHARING_URL || '';
+  const usedIds = new Set();
+  const recentArtists = [];
+  let previousBpm = 0;
+  let totalSeconds = 0;
+
+  const sections = dayparts.map((dp, i) => {
+    const count = options.tracksPerDaypart || daypartTrackCount(dp, averageSeconds);
+    // Pool: best fits for this daypart's energy, a few per artist
+    const ranked = candidates
+      .filter(c => !usedIds.has(c.f.id))
+      .map(c => ({ ...c, fit: c.relevance / maxRelevance - Math.abs(c.f.energy - dp.energy) / 9 }))
+      .sort((a, b) => b.fit - a.fit);
+    const pool = pickDiverseTracks(ranked, count * 4, { shuffle: false, maxPerArtist: CUSTOM_PLAYLIST_MAX_PER_ARTIST });
+
+    const tracks = [];
+    for (let slot = 0; slot < count && pool.length > 0; slot++) {
+      const target = energyRampAt(dayparts, i, count > 1 ? slot / (count - 1) : 0.5);
+      const cost = c => {
+        const step = previousBpm && c.f.bpm ? Math.max(0, Math.abs(c.f.bpm - previousBpm) - CUSTOM_PLAYLIST_BPM_STEP) / CUSTOM_PLAYLIST_BPM_STEP : 0;
+        const tempo = c.f.bpm ? Math.abs(c.f.bpm - energyToBpm(target)) / 40 : 0.25;
+        return Math.abs(c.f.energy - target) / 3 + step + tempo - c.relevance / maxRelevance;
+      };
+      // Artist separation is a hard rule unless nothing else is left
+      const spaced = pool.filter(c => !recentArtists.includes(c.artist.toLowerCase()));
+      const choices = spaced.length > 0 ? spaced : pool;
+      const best = choices.reduce((a, b) => (cost(b) < cost(a) ? b : a));
+      pool.splice(pool.indexOf(best), 1);
+
+      usedIds.add(best.f.id);
+      recentArtists.push(best.artist.toLowerCase());
+      if (recentArtists.length > CUSTOM_PLAYLIST_ARTIST_GAP) recentArtists.shift();
+      if (best.f.bpm) previousBpm = best.f.bpm;
+      totalSeconds += Number(best.track.duration) || averageSeconds;
+      tracks.push({
+        id: best.track.id,
+        title: best.track.title,
+        artist: best.artist,
+        folderId: best.folder.id,
+        folderName: best.folder.name,
+        genre: best.f.genre,
+        mood: best.f.mood,
+        bpm: best.f.bpm || null,
+        energy: best.f.energy,
+        targetEnergy: Math.round(target * 10) / 10,
+        duration: best.track.duration || null,
+        audioUrl: audioBaseUrl ? `${audioBaseUrl}/api/tracks/${best.track.id}/audio` : null,
+      });
+    }
+    return { key: dp.key, label: dp.label, timeRange: dp.timeRange || '', energy: dp.energy, tracks };
+  });
+
+  return {
+    name: `${data.venueName || 'Beat Breeze'} — Custom Mix (${localDateString()})`,
+    generatedAt: new Date().toISOString(),
+    trackCount: sections.reduce((n, s) => n + s.tracks.length, 0),
+    durationMinutes: Math.round(totalSeconds / 60),
+    libraryTracks: library.length,
+    excludedCount,
+    dayparts: sections,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Email HTML builder
 // ---------------------------------------------------------------------------
@@ -863,15 +2625,27 @@ function buildPlaylistEmailSections(aiResults, brief) {
     return `<span style="font-weight:600;">${label}</span>`;
   };
 
+  // Score breakdown: which matching signals fired and by how much
+  const breakdownLine = (p) => {
+    const signals = p.scoreBreakdown?.signals;
+    if (!Array.isArray(signals) || signals.length === 0) return '';
+    const parts = signals.map(s => {
+      const pts = Number(s.points) || 0;
+      const color = pts < 0 ? '#dc2626' : '#059669';
+      return `<span style="color:${color};">${esc(s.label)} ${pts > 0 ? '+' : '&minus;'}${Math.abs(pts)}</span>${s.detail ? ` <span style="color:#9ca3af;">(${esc(s.detail)})</span>` : ''}`;
+    });
+    return `<br><span style="font-size:11px;line-height:1.6;">${parts.join(' &middot; ')}</span>`;
+  };
+
   const playlistCell = (p) => {
     if (p.source === 'beatbreeze') {
       // Beat Breeze: playlist name + reason (design team knows the catalog)
       return `<span style="color:#EFA634;font-weight:600;">${esc(p.name)}</span>
-        <br><span style="color:#666;font-size:12px;">${esc(p.reason)}</span>`;
+        <br><span style="color:#666;font-size:12px;">${esc(p.reason)}</span>${breakdownLine(p)}`;
     }
     // SYB: link to SYB playlist
     return `<a href="${esc(p.sybUrl)}" style="color:#EFA634;font-weight:600;text-decoration:none;">${esc(p.name)}</a>
-      <br><span style="color:#666;font-size:12px;">${esc(p.reason)}</span>`;
+      <br><span style="color:#666;font-size:12px;">${esc(p.reason)}</span>${breakdownLine(p)}`;
   };
 
   const playlistTable = (playlists) => `<table width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #e5e7eb;border-radius:6px;overflow:hidden;margin-bottom:12px;">
@@ -915,6 +2689,72 @@ function buildPlaylistEmailSections(aiResults, brief) {
   </td></tr>`;
 }
 
+// Paired daypart schedules from comparison mode, with the product the customer chose
+function buildProductComparisonEmailSection(comparison, chosen) {
+  if (!comparison?.dayparts?.length) return '';
+  const names = { syb: 'SYB', beatbreeze: 'Beat Breeze' };
+  const cell = (s) => `<span style="font-weight:600;">${s.fit}/100</span>${s.covered ? '' : ' <span style="color:#dc2626;">(thin)</span>'}
+    <br><span style="color:#666;">${s.top.length ? s.top.map(esc).join('<br>') : '&ndash;'}</span>`;
+  const header = p => `${names[p]}${p === (chosen || 'syb') ? ' &#10003;' : ''}`;
+
+  return `
+  <tr><td style="padding:0;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:24px;">
+      <tr><td style="padding:12px 16px;background:#1a1a2e;color:#fff;font-size:14px;font-weight:700;text-transform:uppercase;letter-spacing:1px;border-radius:6px 6px 0 0;">Product Comparison</td></tr>
+      <tr><td style="padding:16px;background:#fff;border:1px solid #e5e7eb;border-top:none;border-radius:0 0 6px 6px;">
+        <p style="margin:0 0 12px;color:#374151;font-size:13px;">Customer chose <strong>${names[chosen] || names.syb}</strong>. ${COMPARISON_PRODUCTS.map(p => `${names[p]}: fit ${comparison.summary[p].fit}/100, ${comparison.summary[p].coverage}% of dayparts covered`).join(' &bull; ')}${comparison.leader ? ` &bull; scores favour ${names[comparison.leader]}` : ' &bull; scores close'}</p>
+        <table width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #e5e7eb;border-radius:6px;overflow:hidden;font-size:12px;">
+          <tr style="background:#f3f4f6;">
+            <th style="padding:8px 10px;text-align:left;color:#374151;">Daypart</th>
+            <th style="padding:8px 10px;text-align:left;color:#374151;">${header('syb')}</th>
+            <th style="padding:8px 10px;text-align:left;color:#374151;">${header('beatbreeze')}</th>
+          </tr>
+          ${comparison.dayparts.map(dp => `<tr>
+            <td style="padding:8px 10px;border-bottom:1px solid #eee;vertical-align:top;font-weight:600;">${esc(dp.label)}<br><span style="color:#9ca3af;font-weight:400;">energy ${dp.energy}/10</span></td>
+            <td style="padding:8px 10px;border-bottom:1px solid #eee;vertical-align:top;">${cell(dp.syb)}</td>
+            <td style="padding:8px 10px;border-bottom:1px solid #eee;vertical-align:top;">${cell(dp.beatbreeze)}</td>
+          </tr>`).join('')}
+        </table>
+      </td></tr>
+    </table>
+  </td></tr>`;
+}
+
+// Track list per daypart with BPM and energy, so the design team can build it as-is
+function buildCustomPlaylistEmailSection(playlist) {
+  if (!playlist?.trackCount) return '';
+  const hours = Math.floor(playlist.durationMinutes / 60);
+  const summary = `${playlist.trackCount} tracks &bull; ${hours > 0 ? `${hours}h ` : ''}${playlist.durationMinutes % 60}m &bull; from ${playlist.libraryTracks} library tracks${playlist.excludedCount > 0 ? ` (${playlist.excludedCount} excluded by the avoid list / language)` : ''}`;
+  const daypartTable = (dp) => `
+    <p style="margin:12px 0 6px;font-weight:700;color:#1a1a2e;font-size:13px;">${esc(dp.label || dp.key)} &mdash; energy ${dp.energy}/10</p>
+    <table width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #e5e7eb;border-radius:6px;overflow:hidden;font-size:12px;">
+      <tr style="background:#f3f4f6;">
+        <th style="padding:6px 8px;text-align:left;color:#374151;">#</th>
+        <th style="padding:6px 8px;text-align:left;color:#374151;">Track</th>
+        <th style="padding:6px 8px;text-align:left;color:#374151;">BPM</th>
+        <th style="padding:6px 8px;text-align:left;color:#374151;">Energy</th>
+      </tr>
+      ${dp.tracks.map((t, i) => `<tr>
+        <td style="padding:5px 8px;border-bottom:1px solid #eee;color:#9ca3af;">${i + 1}</td>
+        <td style="padding:5px 8px;border-bottom:1px solid #eee;"><span style="font-weight:600;">${esc(t.title)}</span>${t.artist ? ` &mdash; ${esc(t.artist)}` : ''}<br><span style="color:#9ca3af;">${esc(t.folderName)}</span></td>
+        <td style="padding:5px 8px;border-bottom:1px solid #eee;">${t.bpm || '&ndash;'}</td>
+        <td style="padding:5px 8px;border-bottom:1px solid #eee;">${t.energy}</td>
+      </tr>`).join('')}
+    </table>`;
+
+  return `
+  <tr><td style="padding:0;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:24px;">
+      <tr><td style="padding:12px 16px;background:#EFA634;color:#1a1a2e;font-size:14px;font-weight:700;text-transform:uppercase;letter-spacing:1px;border-radius:6px 6px 0 0;">Custom Beat Breeze Playlist</td></tr>
+      <tr><td style="padding:16px;background:#fff;border:1px solid #e5e7eb;border-top:none;border-radius:0 0 6px 6px;">
+        <p style="margin:0 0 4px;font-weight:700;color:#1a1a2e;">${esc(playlist.name)}</p>
+        <p style="margin:0;color:#666;font-size:12px;">${summary}</p>
+        ${playlist.dayparts.filter(dp => dp.tracks.length > 0).map(daypartTable).join('')}
+      </td></tr>
+    </table>
+  </td></tr>`;
+}
+
 function buildEmailHtml(data, brief, aiResults, approvalUrl, sybScheduleResult = null) {
   const vibes = Array.isArray(data.vibes) ? data.vibes : [data.vibes].filter(Boolean);
   const product = data.product === 'beatbreeze' ? 'Beat Breeze' : 'Soundtrack Your Brand';
@@ -948,18 +2788,59 @@ function buildEmailHtml(data, brief, aiResults, approvalUrl, sybScheduleResult =
   const musicRows = [];
   if (vibes.length) musicRows.push(`<tr><td style="padding:8px 0;color:#666;width:35%;vertical-align:top;">Vibes</td><td style="padding:6px 0;">${vibes.map(pill).join(' &nbsp; ')}</td></tr>`);
   if (data.energy) musicRows.push(row('Energy', `${data.energy}/10`));
+  if (brief?.energyCurve) {
+    // One bar per open daypart, in schedule order, so the shape reads at a glance
+    const curve = brief.energyCurve;
+    const bars = (brief.daypartOrder || Object.keys(brief.dayparts || {}))
+      .map(key => brief.dayparts[key])
+      .filter(dp => dp && !dp.closed)
+      .map(dp => `<td style="vertical-align:bottom;padding:0 2px;" title="${esc(dp.label)}"><div style="width:14px;height:${dp.energy * 3}px;background:#EFA634;border-radius:2px 2px 0 0;"></div><div style="font-size:10px;color:#666;text-align:center;">${dp.energy}</div></td>`)
+      .join('');
+    const tweak = [curve.source === 'ai' ? 'chosen in chat' : 'venue default', curve.intensity !== 1 ? `intensity ${curve.intensity}` : ''].filter(Boolean).join(', ');
+    musicRows.push(row('Energy Curve', `${esc(curve.label)} <span style="color:#666;font-weight:400;">(${tweak})</span>${bars ? `<table cellpadding="0" cellspacing="0" style="margin-top:6px;"><tr>${bars}</tr></table>` : ''}`));
+  }
   if (data.vocals) musicRows.push(row('Vocals', esc(data.vocals)));
   if (data.avoidList) musicRows.push(row('Avoid / Exclude', esc(data.avoidList)));
+  if (hasAvoidRules(data.avoid)) musicRows.push(row('Avoid Rules', esc(describeAvoidSpec(data.avoid))));
   if (data.guestProfile) musicRows.push(row('Guest Profile', esc(data.guestProfile)));
   if (data.ageRange) musicRows.push(row('Age Range', esc(data.ageRange)));
   if (data.nationality) musicRows.push(row('Nationality', esc(data.nationality)));
   if (data.referenceVenues) musicRows.push(row('Reference Venues', esc(data.referenceVenues)));
+  if (data._seasonalOverlays?.length > 0) {
+    musicRows.push(row('Seasonal Overlays', data._seasonalOverlays.map(o =>
+      `${esc(o.name)}: ${o.start} → ${o.end}, ${o.overlayStart}–${o.overlayEnd} — ${o.playlistName ? esc(o.playlistName) : '<em>no playlist found, pick one manually</em>'}`
+    ).join('<br>')));
+  }
+  if (data._referenceSeed) {
+    const ref = data._referenceSeed;
+    const seededLiked = (aiResults?.likedPlaylists || []).filter(p => ref.seedIds.includes(String(p.playlistId))).length;
+    musicRows.push(row('Reference Seed (internal)', `${esc(ref.venueName)} — brief #${ref.briefId}, ${ref.matchedBy === 'name' ? 'named reference' : `${Math.round(ref.similarity * 100)}% similar`}; ${ref.seedIds.length} seeds, ${seededLiked} kept`));
+  }
+  if (Array.isArray(data._cardFeedback) && data._cardFeedback.length > 0) {
+    const names = action => data._cardFeedback.filter(f => f.action === action && f.name).map(f => esc(f.name));
+    const parts = [];
+    if (names('more').length) parts.push(`More like: ${names('more').join(', ')}`);
+    if (names('less').length) parts.push(`Less like: ${names('less').join(', ')}`);
+    if (parts.length) musicRows.push(row('Card Feedback', parts.join('<br>')));
+  }
+  if (Array.isArray(data._transitions) && data._transitions.length > 0) {
+    const dpLabel = key => esc(brief?.dayparts?.[key]?.label || key);
+    musicRows.push(row('Transition Bridges', data._transitions.map(t =>
+      `${dpLabel(t.from)} \u2192 ${dpLabel(t.to)}: ${esc(t.playlist.name)} (last ${t.minutes} min, energy ${t.energy}/10)`
+    ).join('<br>')));
+  } else if (data.transitionMinutes && data.product !== 'beatbreeze') {
+    musicRows.push(row('Transition Bridges', `Requested (${data.transitionMinutes} min) — no boundary had liked playlists on both sides`));
+  }
   if (data.musicLanguages) musicRows.push(row('Languages', esc(data.musicLanguages)));
   if (data.moodChanges) musicRows.push(row('Mood Changes', esc(data.moodChanges)));
   if (data.vibeDescription) musicRows.push(row('Vibe Description', esc(data.vibeDescription)));
 
   // --- Genre table ---
-  const daypartRow = (label, dp) => `
+  const daypartRow = (label, dp) => dp.closed ? `
+    <tr>
+      <td style="padding:8px 12px;border-bottom:1px solid #eee;font-weight:600;color:#9ca3af;">${esc(label)}</td>
+      <td colspan="2" style="padding:8px 12px;border-bottom:1px solid #eee;color:#9ca3af;">${dp.fallback ? `Fallback: ${esc(dp.fallback.name)}` : 'Silent'}</td>
+    </tr>` : `
     <tr>
       <td style="padding:8px 12px;border-bottom:1px solid #eee;font-weight:600;color:#1a1a2e;">${label}</td>
       <td style="padding:8px 12px;border-bottom:1px solid #eee;">${dp.energy}/10</td>
@@ -1045,6 +2926,12 @@ function buildEmailHtml(data, brief, aiResults, approvalUrl, sybScheduleResult =
   <!-- 4. Selected Playlists -->
   ${buildPlaylistEmailSections(aiResults, brief)}
 
+  <!-- 4a. SYB vs Beat Breeze comparison (if the customer compared) -->
+  ${buildProductComparisonEmailSection(data._productComparison, data.product)}
+
+  <!-- 4b. Custom Beat Breeze playlist (design team) -->
+  ${buildCustomPlaylistEmailSection(data._customPlaylist)}
+
   <!-- 5. Music Direction -->
   ${musicRows.length || genreSection ? section('Music Direction', `
     ${musicRows.length ? `<table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:${genreSection ? '20px' : '0'};">${musicRows.join('')}</table>` : ''}
@@ -1102,11 +2989,12 @@ ${bbCatalogInfo}
 
 Key differences from SYB:
 - You can recommend specific TRACKS within playlists, not just playlists
+- The design team also receives a custom track-by-track playlist built from the whole library for this venue
 - The customer will hear 15-second audio previews directly in the chat
-- Frame recommendations as "Beat Breeze playlists" (never mention SYB or Soundtrack)
+- Frame recommendations as "Beat Breeze playlists" (never mention SYB or Soundtrack unless the customer asks to compare the two — then use compareProducts)
 
 When presenting recommendations, highlight that the customer can preview tracks directly. Narrate the energy arc as usual.`
-    : '\nThe customer has selected Soundtrack Your Brand (SYB) — our premium licensed music platform. SYB offers the largest catalog of expertly curated playlists for businesses, with fully licensed commercial music. Frame your recommendations as SYB playlists.';
+    : '\nThe customer has selected Soundtrack Your Brand (SYB) — our premium licensed music platform. SYB offers the largest catalog of expertly curated playlists for businesses, with fully licensed commercial music. Frame your recommendations as SYB playlists. If the customer is torn between SYB and Beat Breeze, set compareProducts to show both side by side.';
 
   return `You are a senior music designer at BMAsia Group — Asia's leading background music company. You design soundtracks for venues across Asia.
 
@@ -1310,6 +3198,7 @@ Present the results like a designer presenting their work:
 - Ask them to select the ones they like with "Add to brief"
 - Once happy, they can click "Review your music schedule" to see a summary before sending to the design team
 - If they want changes, adjust genreHints and regenerate. Do NOT call lookup_existing_client again — you already have the account info from the first lookup. Just call generate_recommendations with corrected parameters.
+- Cards have "More like this" / "Less like this" buttons. When the customer asks to refine with that feedback, call generate_recommendations again with the same brief — their selected and liked cards stay pinned and thumbs-down cards are swapped out automatically.
 - CRITICAL: When regenerating for events, always pass the event time range as "hours" (e.g. hours: "10:00 AM - 3:00 PM"). This determines the daypart time slots. Do NOT pass the venue's regular operating hours.
 - Do NOT re-list the playlists — the customer can already see the cards
 
@@ -1347,8 +3236,10 @@ const RECOMMEND_TOOL = {
       },
       hours: {
         type: 'string',
-        description: 'Operating hours (e.g., "17:00 - 02:00", "9am - 11pm")',
+        description: 'Operating hours (e.g., "17:00 - 02:00", "9am - 11pm"). For split shifts list every opening window (e.g. "11:00-14:30, 17:30-23:00") — the gap in between becomes a closed period with no music. When hours differ by weekday, prefix each set with its days (e.g. "Sun-Thu 17:00-01:00, Fri-Sat 17:00-03:00"); days left out are treated as closed.',
       },
+      transitionMinutes: { type: 'number', minimum: 0, maximum: 45, description: 'Optional transition bridges: minutes at the end of each daypart that play an in-between playlist (energy and genre halfway to the next daypart) so changes are not an abrupt swap. 15-20 works well. Set when the customer mentions smooth transitions or dislikes sudden changes; omit or 0 for none.' },
+      closedFallback: { type: 'string', description: 'Split shifts only: name of a playlist to keep playing while the venue is closed between windows (e.g. a quiet list for staff prep). Omit to leave the zone silent during closures.' },
       schedulingMode: {
         type: 'string',
         enum: ['auto', 'single', 'custom'],
@@ -1365,20 +3256,29 @@ const RECOMMEND_TOOL = {
           },
           required: ['label', 'timeRange'],
         },
-        description: 'Custom time blocks when schedulingMode is "custom". Each block gets its own playlist recommendations.',
+        description: 'Custom time blocks when schedulingMode is "custom". Each block gets its own playlist recommendations. Small overlaps are trimmed and gaps filled automatically; unreadable or nested blocks come back as errors to clarify with the customer.',
       },
       referenceVenues: { type: 'string', description: 'Reference venues mentioned by customer' },
-      avoidList: { type: 'string', description: 'Genres or styles to avoid, as clean comma-separated terms (e.g. "pop, hip-hop, rap, EDM"). Extract just the genre keywords, not full phrases like "no mainstream pop hits".' },
+      avoidList: { type: 'string', description: 'What to avoid, comma-separated, in the customer\'s own terms (e.g. "no pop or hip-hop, nothing too loud except live jazz, no Taylor Swift"). Keep exceptions ("except ..."), intensity words (loud, explicit) and artist names with their capitalization — the server parses this into genres, artists, exceptions and intensity rules.' },
       vocals: {
         type: 'string',
         description: 'Vocal preference',
         enum: ['instrumental-only', 'mostly-instrumental', 'mix', 'mostly-vocals', 'no-preference', ''],
       },
-      musicLanguages: { type: 'string', description: 'Preferred music languages' },
+      musicLanguages: { type: 'string', description: 'Preferred music languages, only if the customer stated them (e.g. "English and Thai", "Thai only"). Named languages become a hard filter; "only" also drops untagged playlists. Leave empty if they have no preference.' },
       guestProfile: { type: 'string', description: 'Guest demographics description' },
-      ageRange: { type: 'string', description: 'Primary age range' },
+      ageRange: { type: 'string', description: 'Primary age range (e.g. "25-40", "40s-50s", "millennials") — used to prefer playlists from the eras guests grew up with' },
       nationality: { type: 'string', description: 'Primary nationality of guests' },
       moodChanges: { type: 'string', description: 'How mood should change through the day' },
+      energyCurve: {
+        type: 'object',
+        properties: {
+          template: { type: 'string', enum: Object.keys(ENERGY_CURVES), description: 'flat = steady all day; build-up = low at opening, rising to close; inverted-u = midday peak; late-peak = quiet until a peak near closing; morning-peak = highest early, winding down' },
+          points: { type: 'array', items: { type: 'number', minimum: -4, maximum: 4 }, minItems: 5, maxItems: 5, description: 'Optional tweak: 5 energy offsets from the base energy, evenly spaced from opening to closing (e.g. [-1, 0, 2, 1, -1]). Replaces the template\'s shape.' },
+          intensity: { type: 'number', minimum: 0.5, maximum: 2, description: 'Optional: scale the curve (0.5 = gentler, 2 = more dramatic). Default 1.' },
+        },
+        description: 'How energy moves through the day. Omit to use the venue type\'s default (e.g. flat for spas, late-peak for bars, morning-peak for cafes and gyms). Set it when the customer describes their rhythm ("busiest at lunch", "party after 10pm") or when moodChanges contradicts the default.',
+      },
       eventDescription: { type: 'string', description: 'For events: description of the event, occasion, date' },
       genreHints: {
         type: 'array',
@@ -1401,6 +3301,7 @@ const RECOMMEND_TOOL = {
         },
         description: 'Per-zone configuration for multi-zone venues. Omit for single-zone venues (uses top-level fields). Each zone gets its own playlist schedule.',
       },
+      shareAcrossZones: { type: 'boolean', description: 'Multi-zone only. By default adjacent zones get different playlists. Set true only if the customer wants zones to share the same music.' },
       weekendMode: {
         type: 'object',
         properties: {
@@ -1415,6 +3316,8 @@ const RECOMMEND_TOOL = {
       zoneName: { type: 'string', description: 'The specific zone the customer confirmed they want music designed for (e.g. "Lobby", "Pool Deck"). From the zones listed in lookup_existing_client result.' },
       eventDate: { type: 'string', description: 'Event date in ISO format (YYYY-MM-DD). Only for event mode.' },
       eventTimeRange: { type: 'string', description: 'Event time range (e.g. "6:00 PM - 11:00 PM"). Only for event mode.' },
+      compareProducts: { type: 'boolean', description: 'Set true when the customer (or the sales rep) can\'t decide between Soundtrack Your Brand and Beat Breeze, or asks to compare them. Runs the same brief through both catalogs and shows the two schedules side by side so they can pick. Single-zone briefs only.' },
+      seasonalOverlays: { type: 'boolean', description: 'Set true if the customer wants holiday music (Christmas, Songkran, Chinese New Year, etc.) to switch in automatically during the season and revert to their regular schedule afterwards.' },
       existingScheduleId: { type: 'string', description: 'Existing SYB schedule ID to update (for update mode). Uses updateSchedule mutation instead of createSchedule.' },
     },
     required: ['venueType', 'vibes', 'energy'],
@@ -1541,6 +3444,7 @@ async function executeVenueResearch(toolInput) {
 // ---------------------------------------------------------------------------
 let beatbreezeCatalog = [];
 let beatbreezeCatalogAge = 0;
+let beatbreezeProfiles = new Map(); // folder id → buildFolderProfile()
 
 async function refreshBeatBreezeCatalog() {
   const url = process.env.AUDIO_SHARING_URL;
@@ -1550,9 +3454,10 @@ async function refreshBeatBreezeCatalog() {
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
     beatbreezeCatalog = data.folders || [];
+    beatbreezeProfiles = new Map(beatbreezeCatalog.map(f => [f.id, buildFolderProfile(f)]));
     beatbreezeCatalogAge = Date.now();
     const trackCount = beatbreezeCatalog.reduce((n, f) => n + (f.tracks?.length || 0), 0);
-    console.log(`[Beat Breeze] Cached ${beatbreezeCatalog.length} playlists, ${trackCount} tracks`);
+    console.log(`[Beat Breeze] Cached ${beatbreezeCatalog.length} playlists, ${trackCount} tracks (profiles built)`);
   } catch (err) {
     console.error('[Beat Breeze] Catalog refresh failed:', err.message);
   }
@@ -1607,20 +3512,19 @@ async function sybSearchPlaylists(keywords, limit = 5) {
   return results;
 }
 
-// Block tracks matching avoid list keywords on specified zones
+// Block tracks matching the avoid list on specified zones. Accepts the raw
+// string or a parseAvoidList() spec; artists are searched before genres, and
+// genres carved out by an exception are left alone.
 // Returns array of blocked track IDs (for storage/cleanup)
-async function sybBlockTracksForAvoidList(avoidList, zoneIds) {
-  if (!avoidList || !zoneIds || zoneIds.length === 0) return [];
+async function sybBlockTracksForAvoidList(avoid, zoneIds) {
+  if (!avoid || !zoneIds || zoneIds.length === 0) return [];
   if (!process.env.SOUNDTRACK_API_TOKEN) return [];
 
-  // Parse avoid list into search keywords (same logic as deterministicMatch)
-  const terms = avoidList.toLowerCase()
-    .replace(/\bno\b/gi, '')
-    .replace(/\bhits\b/gi, '')
-    .replace(/\bmainstream\b/gi, '')
-    .split(/[,;]+|\b(?:and|or)\b/i)
-    .map(s => s ? s.trim().replace(/-/g, ' ') : '')
-    .filter(s => s && s.length > 2);
+  const spec = typeof avoid === 'string' ? parseAvoidList(avoid) : avoid;
+  const terms = [
+    ...spec.artists,
+    ...spec.genres.filter(g => g.length >= 3 && !avoidTermCoveredByException(g, spec)),
+  ];
 
   if (terms.length === 0) return [];
 
@@ -1948,8 +3852,497 @@ async function executeClientLookup(toolInput) {
   return result;
 }
 
+// ---------------------------------------------------------------------------
+// Reference Venues — similar past briefs seed new recommendations
+// ---------------------------------------------------------------------------
+// A venue the customer names as a reference (or, failing that, the most similar
+// past venue) contributes its approved selections as a seed set. Attribution is
+// internal: the designer email names the source brief, the chat never does.
+const REFERENCE_CANDIDATE_LIMIT = 300;
+const REFERENCE_MIN_SIMILARITY = 0.55;
+const REFERENCE_MAX_SEEDS = 8;
+const REFERENCE_SIMILARITY_WEIGHTS = { venueType: 0.3, vibes: 0.3, energy: 0.15, genreHints: 0.25, liked: 0.25 };
+// A name only matches on words outside this list ("a cafe", "the hotel" name no venue)
+const REFERENCE_GENERIC_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'our', 'at', 'in', 'of', 'on', 'by', 'and', 'one', 'place', 'venue', 'hotel', 'hotels', 'resort',
+  'lobby', 'cafe', 'coffee', 'restaurant', 'bar', 'lounge', 'rooftop', 'spa', 'club', 'bistro', 'shop', 'store', 'gym', 'beach', 'pool',
+]);
+const REFERENCE_MIN_NAME_LENGTH = 4;
+
+// "like the lobby at Siam Kempinski, and Sühring" → ['siam kempinski', 'sühring']
+function parseReferenceVenueNames(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .split(/[,;\n/]|\band\b|&|และ/i)
+    .map(s => s
+      .replace(/^\s*(?:(?:something|somewhere)\s+)?(?:similar\s+to|like|as\s+in|inspired\s+by|think)\s+/i, '')
+      .replace(/^\s*the\s+\w+\s+(?:at|in)\s+/i, '')
+      .replace(/^\s*the\s+/i, '')
+      .replace(/['"“”]/g, '')
+      .trim()
+      .toLowerCase())
+    .filter(s => s.length >= 4);
+}
+
+// "Sühring Restaurant!" → 'suhring restaurant': lowercase, Latin accents folded,
+// punctuation to single spaces (Thai vowel and tone marks are kept)
+function normalizeVenueName(name) {
+  return String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ').trim();
+}
+
+// One normalised name appears whole-word inside the other, and the shorter one has
+// REFERENCE_MIN_NAME_LENGTH characters outside generic venue words
+function venueNamesMatch(a, b) {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const distinctive = shorter.split(' ').filter(w => !REFERENCE_GENERIC_WORDS.has(w)).join('');
+  return distinctive.length >= REFERENCE_MIN_NAME_LENGTH && ` ${longer} `.includes(` ${shorter} `);
+}
+
+function referenceProfile(data, likedIds = []) {
+  const vibes = (Array.isArray(data.vibes) ? data.vibes : [data.vibes]).filter(Boolean).map(v => String(v).toLowerCase());
+  return {
+    venueType: data.venueType || '',
+    vibes: new Set(vibes),
+    energy: parseInt(data.energy, 10) || null,
+    genreHints: new Set(tokenizeText((data.genreHints || []).join(' '))),
+    liked: new Set(likedIds.map(String)),
+  };
+}
+
+// Weighted similarity over the signals both briefs have; signals missing from
+// the new brief drop out of the denominator instead of counting as a mismatch.
+function briefSimilarity(a, b) {
+  const w = REFERENCE_SIMILARITY_WEIGHTS;
+  let score = 0;
+  let total = 0;
+  if (a.venueType) { total += w.venueType; if (a.venueType === b.venueType) score += w.venueType; }
+  if (a.vibes.size > 0) { total += w.vibes; score += w.vibes * jaccard(a.vibes, b.vibes); }
+  if (a.energy && b.energy) { total += w.energy; score += w.energy * (1 - Math.abs(a.energy - b.energy) / 9); }
+  if (a.genreHints.size > 0) { total += w.genreHints; score += w.genreHints * jaccard(a.genreHints, b.genreHints); }
+  if (a.liked.size > 0) { total += w.liked; score += w.liked * jaccard(a.liked, b.liked); }
+  return total > 0 ? score / total : 0;
+}
+
+/**
+ * Find the reference brief for a new brief: a named reference venue with an
+ * approved brief wins, otherwise the most similar approved brief above
+ * REFERENCE_MIN_SIMILARITY. Returns { briefId, venueName, matchedBy,
+ * similarity, seedIds } or null. seedIds are limited to playlists still in the
+ * current catalog for `product`.
+ */
+async function findReferenceBrief(data, product = 'syb', likedIds = []) {
+  if (!pool) return null;
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, venue_name, venue_type, raw_data FROM briefs
+       WHERE status IN ('approved', 'scheduled') AND product = $1 AND raw_data ? 'aiResults'
+         AND LOWER(venue_name) <> LOWER($2)
+       ORDER BY created_at DESC LIMIT $3`,
+      [product, data.venueName || '', REFERENCE_CANDIDATE_LIMIT]
+    );
+    if (rows.length === 0) return null;
+
+    const catalogIds = new Set(product === 'beatbreeze'
+      ? beatbreezeCatalog.map(f => String(f.id))
+      : loadPlaylistCatalog().map(p => p.id));
+    const candidates = rows.map(row => {
+      const raw = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : (row.raw_data || {});
+      const liked = (raw.aiResults?.likedPlaylists || []).map(p => p.playlistId).filter(Boolean).map(String);
+      const brief = { ...(raw.extractedBrief || {}), venueType: row.venue_type || raw.extractedBrief?.venueType };
+      return {
+        briefId: row.id,
+        venueName: row.venue_name,
+        profile: referenceProfile(brief, liked),
+        seedIds: liked.filter(id => catalogIds.has(id)).slice(0, REFERENCE_MAX_SEEDS),
+      };
+    }).filter(c => c.seedIds.length > 0);
+
+    const target = referenceProfile(data, likedIds);
+    const withScore = (c, matchedBy) => ({
+      briefId: c.briefId,
+      venueName: c.venueName,
+      matchedBy,
+      similarity: Math.round(briefSimilarity(target, c.profile) * 100) / 100,
+      seedIds: c.seedIds,
+    });
+
+    // 1. Named reference venues (most recent approved brief per name)
+    for (const name of parseReferenceVenueNames(data.referenceVenues)) {
+      const hit = candidates.find(c => venueNamesMatch(normalizeVenueName(name), normalizeVenueName(c.venueName)));
+      if (hit) return withScore(hit, 'name');
+    }
+
+    // 2. Most similar past venue
+    let best = null;
+    for (const c of candidates) {
+      const similarity = briefSimilarity(target, c.profile);
+      if (similarity >= REFERENCE_MIN_SIMILARITY && (!best || similarity > best.similarity)) best = { c, similarity };
+    }
+    return best ? withScore(best.c, 'similarity') : null;
+  } catch (err) {
+    console.log('[Reference] Similar brief lookup failed (non-critical):', err.message);
+    return null;
+  }
+}
+
+// A recommendations round's referenceSeed ({ briefId, matchedBy, similarity,
+// seedIds }) with the reference venue's name added back, for internal attribution
+async function referenceSeedDetails(seed) {
+  if (!pool || !seed?.briefId) return null;
+  try {
+    const { rows } = await pool.query('SELECT venue_name FROM briefs WHERE id = $1', [seed.briefId]);
+    return rows.length > 0 ? { ...seed, venueName: rows[0].venue_name } : null;
+  } catch (err) {
+    console.log('[Reference] Seed brief lookup failed (non-critical):', err.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Custom daypart validation
+// ---------------------------------------------------------------------------
+// Problems the validator can't settle on its own go back to the chat tool as
+// { code, block, label, timeRange, message } so the AI can ask the customer.
+const DAYPART_ERROR_CODES = {
+  unparseable_range: 'time range could not be read',
+  empty_range: 'starts and ends at the same time',
+  contained_overlap: 'sits entirely inside another block',
+};
+
+function daypartKey(label, i) {
+  const key = String(label || '').toLowerCase().trim().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+  return key || `block_${i + 1}`;
+}
+
+function customDaypart(key, label, start, end, energy, extra = {}) {
+  return {
+    key,
+    label: `${label} (${timeLabel(start)}\u2013${timeLabel(end)})`,
+    timeRange: `${timeLabel(start)}-${timeLabel(end)}`,
+    icon: iconForTime(start),
+    energy,
+    ...extra,
+  };
+}
+
+/**
+ * Check customer-specified time blocks and repair what can be repaired:
+ * - duplicate keys ("Dinner" twice) get a numeric suffix
+ * - overlaps are trimmed — the earlier block ends where the next one starts
+ * - gaps become a closed daypart when the venue is closed then (per its hours),
+ *   otherwise a transition block at the neighbours' average energy
+ * Unreadable or empty ranges and blocks swallowed by another one can't be
+ * guessed, so they come back as errors and no dayparts are returned.
+ * Ranges past midnight wrap.
+ */
+function validateCustomDayparts(customDayparts, { energy = 5, hours = '' } = {}) {
+  const errors = [];
+  const fixes = [];
+  const blocks = [];
+
+  (customDayparts || []).forEach((cd, i) => {
+    const label = String(cd?.label || '').trim() || `Block ${i + 1}`;
+    const timeRange = String(cd?.timeRange || '');
+    const error = (code) => errors.push({ code, block: i + 1, label, timeRange, message: `"${label}" (${timeRange || 'no time range'}) ${DAYPART_ERROR_CODES[code]}` });
+
+    const range = parseTimeRange(timeRange);
+    if (!range) return error('unparseable_range');
+    if (range.end === range.start) return error('empty_range');
+    blocks.push({ block: i + 1, label, start: range.start, end: range.end, energy: clamp(parseInt(cd.energy, 10) || energy, 1, 10) });
+  });
+  if (errors.length > 0) return { dayparts: null, errors, fixes };
+
+  // The day starts after the longest stretch without a block starting
+  // (overnight for most venues), so a 02:00 block follows 22:00, not 00:00
+  const starts = [...new Set(blocks.map(b => b.start))].sort((a, b) => a - b);
+  let anchor = starts[0];
+  let longest = -1;
+  starts.forEach((st, i) => {
+    const gap = (starts[(i + 1) % starts.length] - st + 1440) % 1440 || 1440;
+    if (gap > longest) { longest = gap; anchor = starts[(i + 1) % starts.length]; }
+  });
+  for (const b of blocks) {
+    if (b.start < anchor) { b.start += 1440; b.end += 1440; }
+  }
+
+  blocks.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < blocks.length; i++) {
+    const prev = blocks[i - 1];
+    const cur = blocks[i];
+    if (cur.start >= prev.end) continue;
+    if (cur.end <= prev.end || cur.start <= prev.start) {
+      errors.push({
+        code: 'contained_overlap', block: cur.block, label: cur.label, timeRange: `${timeLabel(cur.start)}-${timeLabel(cur.end)}`,
+        message: `"${cur.label}" ${DAYPART_ERROR_CODES.contained_overlap} ("${prev.label}" ${timeLabel(prev.start)}\u2013${timeLabel(prev.end)})`,
+      });
+      continue;
+    }
+    fixes.push(`"${prev.label}" now ends at ${timeLabel(cur.start)} instead of ${timeLabel(prev.end)} (overlapped "${cur.label}")`);
+    prev.end = cur.start;
+  }
+  if (errors.length > 0) return { dayparts: null, errors, fixes };
+
+  // Opening windows, unrolled onto the same timeline as the blocks
+  const windows = parseOpeningWindows(hours).flatMap(w => [w, { start: w.start + 1440, end: w.end + 1440 }]);
+  const isClosed = (start, end) => windows.length > 0 && !windows.some(w => w.start < end && start < w.end);
+
+  const usedKeys = new Map();
+  const dayparts = [];
+  blocks.forEach((b, i) => {
+    const prev = blocks[i - 1];
+    if (prev && b.start > prev.end) {
+      if (isClosed(prev.end, b.start)) {
+        dayparts.push(customDaypart(`closed_${i}`, 'Closed', prev.end, b.start, 1, { closed: true }));
+        fixes.push(`${timeLabel(prev.end)}\u2013${timeLabel(b.start)} left closed (venue hours)`);
+      } else {
+        dayparts.push(customDaypart(`transition_${i}`, 'Transition', prev.end, b.start, Math.round((prev.energy + b.energy) / 2)));
+        fixes.push(`Gap ${timeLabel(prev.end)}\u2013${timeLabel(b.start)} filled with a transition block between "${prev.label}" and "${b.label}"`);
+      }
+    }
+    const base = daypartKey(b.label, i);
+    const n = (usedKeys.get(base) || 0) + 1;
+    usedKeys.set(base, n);
+    if (n > 1) fixes.push(`Second "${b.label}" block renamed to key ${base}_${n}`);
+    dayparts.push(customDaypart(n > 1 ? `${base}_${n}` : base, b.label, b.start % 1440, b.end % 1440, b.energy));
+  });
+  return { dayparts, errors, fixes };
+}
+
+// Dayparts for a brief: customer-specified blocks in custom mode (validated and
+// auto-fixed; falls back to generated dayparts if they can't be fixed), generated otherwise
+function resolveDayparts(data) {
+  const energy = parseInt(data.energy, 10) || 5;
+  const hoursForDayparts = data.eventTimeRange || data.hours;
+  const mode = data.schedulingMode || 'auto';
+
+  if (mode === 'custom' && Array.isArray(data.customDayparts) && data.customDayparts.length > 0) {
+    const { dayparts } = validateCustomDayparts(data.customDayparts, { energy, hours: hoursForDayparts });
+    if (dayparts) return dayparts;
+  }
+  return generateDayparts(hoursForDayparts, energy, mode, resolveEnergyCurve(data.energyCurve, data.venueType));
+}
+
+/**
+ * Run one brief through two weight profiles and diff the ranked lists.
+ * Static catalog only (no SYB search) so the only variable is the weights.
+ * Each playlist gets a status: same | moved (rank or daypart changed) | new | dropped.
+ */
+function compareScoringProfiles(data, profileA, profileB, product = 'syb') {
+  const dayparts = resolveDayparts(data);
+  const run = (profile) => {
+    const result = product === 'beatbreeze'
+      ? enrichBeatBreezeRecommendations(beatBreezeMatch(data, dayparts, { profile }))
+      : enrichRecommendations(deterministicMatch(data, dayparts, [], { profile }));
+    return {
+      profile: result.weightsProfile || null,
+      recommendations: (result.recommendations || []).map((r, i) => ({
+        rank: i + 1,
+        playlistId: r.playlistId,
+        name: r.name,
+        daypart: r.daypart,
+        matchScore: r.matchScore,
+      })),
+    };
+  };
+
+  const a = run(profileA);
+  const b = run(profileB);
+  const byIdA = new Map(a.recommendations.map(r => [r.playlistId, r]));
+  const byIdB = new Map(b.recommendations.map(r => [r.playlistId, r]));
+
+  const differences = [];
+  for (const rb of b.recommendations) {
+    const ra = byIdA.get(rb.playlistId);
+    if (!ra) {
+      rb.status = 'new';
+      differences.push({ playlistId: rb.playlistId, name: rb.name, status: 'new', rankB: rb.rank, daypartB: rb.daypart });
+      continue;
+    }
+    const moved = ra.rank !== rb.rank || ra.daypart !== rb.daypart;
+    rb.status = moved ? 'moved' : 'same';
+    rb.rankChange = ra.rank - rb.rank;
+    if (moved || ra.matchScore !== rb.matchScore) {
+      differences.push({
+        playlistId: rb.playlistId, name: rb.name, status: rb.status,
+        rankA: ra.rank, rankB: rb.rank, daypartA: ra.daypart, daypartB: rb.daypart,
+        scoreA: ra.matchScore, scoreB: rb.matchScore,
+      });
+    }
+  }
+  for (const ra of a.recommendations) {
+    const rb = byIdB.get(ra.playlistId);
+    ra.status = !rb ? 'dropped' : rb.status;
+    if (!rb) differences.push({ playlistId: ra.playlistId, name: ra.name, status: 'dropped', rankA: ra.rank, daypartA: ra.daypart });
+  }
+
+  const count = (status) => differences.filter(d => d.status === status).length;
+  return {
+    product,
+    dayparts: dayparts.map(d => ({ key: d.key, label: d.label, energy: d.energy })),
+    a,
+    b,
+    differences,
+    summary: {
+      same: b.recommendations.filter(r => r.status === 'same').length,
+      moved: count('moved'),
+      new: count('new'),
+      dropped: count('dropped'),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Product comparison (SYB vs Beat Breeze for one brief)
+// ---------------------------------------------------------------------------
+const COMPARISON_PRODUCTS = ['syb', 'beatbreeze'];
+const COMPARISON_STRONG_SCORE = 10; // raw engine score of a pick that fits on most signals
+const COMPARISON_MIN_SCORE = 4;     // weaker picks don't count toward coverage
+const COMPARISON_MIN_PICKS = 2;     // fitting picks a daypart needs to count as covered
+const COMPARISON_TIE_MARGIN = 5;    // points between the products that still read as a tie
+const COMPARISON_TOP_PICKS = 3;
+
+// 0-100: how well a set of picks fits, from their raw engine scores (matchScore is
+// normalised within each run, so it can't be compared across products)
+function comparisonFit(recs) {
+  if (recs.length === 0) return 0;
+  const sum = recs.reduce((n, r) => n + Math.min(1, Math.max(0, r.scoreBreakdown?.total || 0) / COMPARISON_STRONG_SCORE), 0);
+  return Math.round((sum / recs.length) * 100);
+}
+
+/**
+ * Pair two pipeline runs of the same brief daypart by daypart. Each daypart
+ * gets per-product pick counts, a fit score and the top picks; the summary has
+ * overall fit and coverage (share of dayparts with enough fitting picks).
+ * `leader` is the product ahead on fit + coverage, or null for a tie.
+ * `recommendations` keeps each run's full cards for the chat UI.
+ */
+function buildProductComparison(runs) {
+  const dayparts = openDayparts(runs[COMPARISON_PRODUCTS[0]].dayparts);
+  const side = (p, dpKey) => {
+    const recs = runs[p].recommendations.filter(r => r.daypart === dpKey);
+    return {
+      picks: recs.length,
+      fit: comparisonFit(recs),
+      covered: recs.filter(r => (r.scoreBreakdown?.total || 0) >= COMPARISON_MIN_SCORE).length >= COMPARISON_MIN_PICKS,
+      top: [...recs].sort((a, b) => (b.scoreBreakdown?.total || 0) - (a.scoreBreakdown?.total || 0)).slice(0, COMPARISON_TOP_PICKS).map(r => r.name),
+    };
+  };
+
+  const pairs = dayparts.map(dp => ({
+    key: dp.key,
+    label: dp.label,
+    timeRange: dp.timeRange || '',
+    energy: dp.energy,
+    ...Object.fromEntries(COMPARISON_PRODUCTS.map(p => [p, side(p, dp.key)])),
+  }));
+
+  const summary = Object.fromEntries(COMPARISON_PRODUCTS.map(p => [p, {
+    picks: runs[p].recommendations.length,
+    fit: comparisonFit(runs[p].recommendations),
+    coverage: pairs.length > 0 ? Math.round((pairs.filter(dp => dp[p].covered).length / pairs.length) * 100) : 0,
+  }]));
+  const overall = p => (summary[p].fit + summary[p].coverage) / 2;
+  const gap = overall('syb') - overall('beatbreeze');
+
+  return {
+    dayparts: pairs,
+    summary,
+    leader: Math.abs(gap) < COMPARISON_TIE_MARGIN ? null : gap > 0 ? 'syb' : 'beatbreeze',
+    recommendations: Object.fromEntries(COMPARISON_PRODUCTS.map(p => [p, runs[p].recommendations])),
+  };
+}
+
+// Comparison as posted back by the client on /submit: keep the numbers and
+// playlist names only (the full cards aren't needed after the choice)
+function sanitizeProductComparison(comparison) {
+  if (!comparison || typeof comparison !== 'object' || !Array.isArray(comparison.dayparts)) return null;
+  const num = v => clamp(Math.round(Number(v) || 0), 0, 100);
+  const side = s => ({
+    picks: Math.max(0, parseInt(s?.picks, 10) || 0),
+    fit: num(s?.fit),
+    covered: s?.covered === true,
+    top: (Array.isArray(s?.top) ? s.top : []).slice(0, COMPARISON_TOP_PICKS).map(n => String(n).slice(0, 120)),
+  });
+  return {
+    dayparts: comparison.dayparts.slice(0, 12).map(dp => ({
+      key: String(dp.key || ''),
+      label: String(dp.label || dp.key || '').slice(0, 80),
+      energy: num(dp.energy),
+      ...Object.fromEntries(COMPARISON_PRODUCTS.map(p => [p, side(dp[p])])),
+    })),
+    summary: Object.fromEntries(COMPARISON_PRODUCTS.map(p => [p, {
+      picks: Math.max(0, parseInt(comparison.summary?.[p]?.picks, 10) || 0),
+      fit: num(comparison.summary?.[p]?.fit),
+      coverage: num(comparison.summary?.[p]?.coverage),
+    }])),
+    leader: COMPARISON_PRODUCTS.includes(comparison.leader) ? comparison.leader : null,
+  };
+}
+
+// Plain-text comparison for the chat model's tool result
+function describeProductComparison(comparison) {
+  const names = { syb: 'Soundtrack Your Brand', beatbreeze: 'Beat Breeze' };
+  const lines = COMPARISON_PRODUCTS.map(p => {
+    const s = comparison.summary[p];
+    return `- ${names[p]}: ${s.picks} playlists, fit ${s.fit}/100, covers ${s.coverage}% of dayparts`;
+  });
+  const perDaypart = comparison.dayparts.map(dp =>
+    `- ${dp.label}: ${COMPARISON_PRODUCTS.map(p => `${names[p]} fit ${dp[p].fit}${dp[p].top.length ? ` (${dp[p].top.join(', ')})` : ' (nothing suitable)'}`).join(' vs ')}`
+  );
+  const leader = comparison.leader ? `${names[comparison.leader]} is the stronger fit on these scores.` : 'The two are close on these scores.';
+  return `Compared both products for the same brief:\n${lines.join('\n')}\nBy daypart:\n${perDaypart.join('\n')}\n${leader}`;
+}
+
+// ---------------------------------------------------------------------------
+// Card feedback (pin / more like this / less like this)
+// ---------------------------------------------------------------------------
+const CARD_FEEDBACK_ACTIONS = ['pin', 'more', 'less'];
+const CARD_FEEDBACK_LIMIT = 60;
+
+// Card actions posted by the chat client: [{ playlistId, name, description,
+// daypart, zone, scheduleType, action }]. Later entries for the same card win.
+function normalizeCardFeedback(raw) {
+  if (!Array.isArray(raw)) return [];
+  const byKey = new Map();
+  for (const entry of raw.slice(-CARD_FEEDBACK_LIMIT)) {
+    if (!entry || !CARD_FEEDBACK_ACTIONS.includes(entry.action) || entry.playlistId === undefined) continue;
+    const zone = entry.zone ? String(entry.zone).slice(0, 80) : null;
+    const scheduleType = entry.scheduleType === 'weekend' ? 'weekend' : 'weekday';
+    const playlistId = String(entry.playlistId).slice(0, 200);
+    byKey.set(`${playlistId}|${zone}|${scheduleType}`, {
+      playlistId,
+      name: String(entry.name || '').slice(0, 120),
+      description: String(entry.description || '').slice(0, 300),
+      daypart: String(entry.daypart || '').slice(0, 60),
+      zone,
+      scheduleType,
+      action: entry.action,
+    });
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * runMatchEngine options for one zone / schedule type. Pins only apply where
+ * the card was shown; thumbs-down cards are excluded everywhere and "more" /
+ * "less" cards steer scoring everywhere.
+ */
+function cardFeedbackOptions(feedback, zone = null, scheduleType = 'weekday') {
+  if (!feedback || feedback.length === 0) return {};
+  const ids = action => feedback.filter(f => f.action === action).map(f => f.playlistId);
+  return {
+    pinned: feedback
+      .filter(f => f.action !== 'less' && f.zone === zone && f.scheduleType === scheduleType)
+      .map(f => ({ playlistId: f.playlistId, daypart: f.daypart })),
+    excludeIds: ids('less'),
+    likedIds: ids('more'),
+    dislikedIds: ids('less'),
+  };
+}
+
 // Execute the recommendation tool server-side
-async function executeRecommendationTool(toolInput, product = 'syb') {
+async function executeRecommendationTool(toolInput, product = 'syb', feedback = []) {
   const baseData = {
     venueName: toolInput.venueName || 'Venue',
     venueType: toolInput.venueType || '',
@@ -1959,29 +4352,71 @@ async function executeRecommendationTool(toolInput, product = 'syb') {
     energy: toolInput.energy || 5,
     referenceVenues: toolInput.referenceVenues || '',
     avoidList: toolInput.avoidList || '',
+    avoid: parseAvoidList(toolInput.avoidList),
     vocals: toolInput.vocals || '',
     musicLanguages: toolInput.musicLanguages || '',
     guestProfile: toolInput.guestProfile || '',
     ageRange: toolInput.ageRange || '',
     nationality: toolInput.nationality || '',
     moodChanges: toolInput.moodChanges || '',
+    energyCurve: resolveEnergyCurve(toolInput.energyCurve, toolInput.venueType || ''),
     genreHints: toolInput.genreHints || [],
     sybAccountId: toolInput.sybAccountId || null,
     sybMatchCount: toolInput.sybMatchCount || 0,
     zoneName: toolInput.zoneName || null,
     eventDate: toolInput.eventDate || null,
     eventTimeRange: toolInput.eventTimeRange || null,
+    seasonalOverlays: toolInput.seasonalOverlays === true,
     existingScheduleId: toolInput.existingScheduleId || null,
     schedulingMode: toolInput.schedulingMode || 'auto',
     customDayparts: toolInput.customDayparts || null,
+    closedFallback: toolInput.closedFallback || '',
+    transitionMinutes: transitionMinutes(toolInput.transitionMinutes),
   };
 
   const zones = toolInput.zones;
   const isMultiZone = Array.isArray(zones) && zones.length > 0;
 
-  // Fetch API playlists via public search (no auth needed, 3s timeout)
+  // Approved selections from the reference (or most similar) past venue seed
+  // every zone. Only the count and the reference's brief id (for attribution at
+  // submit) leave this function — never the venue name.
+  const reference = await findReferenceBrief(baseData, product);
+  const seedIds = reference ? reference.seedIds : [];
+  const referenceSeed = reference
+    ? { briefId: reference.briefId, matchedBy: reference.matchedBy, similarity: reference.similarity, seedIds }
+    : null;
+
+  // Pinned SYB search results aren't in the static catalog — carry them over
+  // from the card so the pin survives a regeneration
+  const catalogIds = new Set(loadPlaylistCatalog().map(p => p.id));
+  const pinnedApiPlaylists = (feedback || [])
+    .filter(f => f.action !== 'less' && f.name && !catalogIds.has(f.playlistId) && /^[\w.=-]+$/.test(f.playlistId))
+    .map(f => ({ id: f.playlistId, sybId: f.playlistId, name: f.name, description: f.description, categories: [], source: 'api' }));
+  const feedbackApplied = feedback && feedback.length > 0
+    ? { pinned: feedback.filter(f => f.action !== 'less').length, excluded: feedback.filter(f => f.action === 'less').length }
+    : null;
+
+  // Custom time blocks: stop here with structured errors if they can't be
+  // fixed, so the AI asks the customer instead of guessing
+  let daypartFixes = [];
+  if (baseData.schedulingMode === 'custom' && Array.isArray(baseData.customDayparts) && baseData.customDayparts.length > 0) {
+    const check = validateCustomDayparts(baseData.customDayparts, {
+      energy: parseInt(baseData.energy, 10) || 5,
+      hours: baseData.eventTimeRange || baseData.hours,
+    });
+    if (check.errors.length > 0) {
+      console.log(`[Dayparts] Custom blocks rejected: ${check.errors.map(e => e.code).join(', ')}`);
+      return { daypartErrors: check.errors, extractedBrief: baseData, product };
+    }
+    daypartFixes = check.fixes;
+  }
+  if (reference) console.log(`[Reference] Seeding ${seedIds.length} playlists from brief #${reference.briefId} (${reference.matchedBy}, similarity ${reference.similarity})`);
+
+  // Fetch API playlists via public search (no auth needed, 3s timeout). Holidays
+  // in season get a search of their own: the static catalog has no seasonal lists.
   async function fetchApiPlaylists(data) {
-    const hints = data.genreHints || [];
+    const seasonTerms = activeSeasons(data).map(w => w.keywords[0]);
+    const hints = [...seasonTerms, ...(data.genreHints || [])];
     if (hints.length === 0) return [];
     try {
       const timeout = new Promise(resolve => setTimeout(() => resolve([]), 3000));
@@ -1994,58 +4429,62 @@ async function executeRecommendationTool(toolInput, product = 'syb') {
     }
   }
 
-  // Helper: run pipeline for a single data set
-  async function runPipeline(data) {
-    const energy = parseInt(data.energy, 10) || 5;
-    const hoursForDayparts = data.eventTimeRange || data.hours;
-    const mode = data.schedulingMode || 'auto';
-
-    let dayparts;
-    if (mode === 'custom' && Array.isArray(data.customDayparts) && data.customDayparts.length > 0) {
-      // Customer-specified time blocks
-      dayparts = data.customDayparts.map((cd, i) => {
-        const timeMatch = cd.timeRange?.match(
-          /(\d{1,2}[:\.]?\d{0,2}\s*(?:am|pm)?)\s*[-\u2013\u2014to]+\s*(\d{1,2}[:\.]?\d{0,2}\s*(?:am|pm)?)/i
-        );
-        const startMin = timeMatch ? parseTime(timeMatch[1]) : 0;
-        const endMin = timeMatch ? parseTime(timeMatch[2]) : 0;
-        return {
-          key: cd.label.toLowerCase().replace(/\s+/g, '_'),
-          label: timeMatch
-            ? `${cd.label} (${timeLabel(startMin)}\u2013${timeLabel(endMin)})`
-            : cd.label,
-          timeRange: cd.timeRange || '',
-          icon: timeMatch ? iconForTime(startMin) : 'sun',
-          energy: cd.energy || energy,
-        };
-      });
-    } else {
-      dayparts = generateDayparts(hoursForDayparts, energy, mode);
-    }
+  // Helper: run pipeline for a single data set (the session's product unless told otherwise)
+  async function runPipeline(data, matchOptions = {}, pipelineProduct = product) {
+    const dayparts = resolveDayparts(data);
 
     // Beat Breeze path: tag-based matching against cached catalog
-    if (product === 'beatbreeze' && beatbreezeCatalog.length > 0) {
-      const result = beatBreezeMatch(data, dayparts);
+    if (pipelineProduct === 'beatbreeze' && beatbreezeCatalog.length > 0) {
+      const result = beatBreezeMatch(data, dayparts, matchOptions);
       const enriched = enrichBeatBreezeRecommendations(result);
       return { dayparts, ...enriched };
     }
 
     // SYB path: keyword matching + API search
-    const apiPlaylists = await fetchApiPlaylists(data);
-    const result = deterministicMatch(data, dayparts, apiPlaylists);
+    const searched = await fetchApiPlaylists(data);
+    const apiPlaylists = [...searched, ...pinnedApiPlaylists.filter(p => !searched.some(a => a.id === p.id))];
+    const result = deterministicMatch(data, dayparts, apiPlaylists, matchOptions);
     const apiMap = Object.fromEntries(apiPlaylists.map(p => [p.id, p]));
     const enriched = enrichRecommendations(result, apiMap);
     return { dayparts, ...enriched };
   }
 
+  // Comparison mode: the same brief through both catalogs, paired by daypart.
+  // Single-zone only, and only when the Beat Breeze catalog is loaded.
+  if (toolInput.compareProducts === true && !isMultiZone && beatbreezeCatalog.length > 0) {
+    const runs = {};
+    for (const p of COMPARISON_PRODUCTS) {
+      const ref = p === product ? reference : await findReferenceBrief(baseData, p);
+      runs[p] = await runPipeline(baseData, { seedIds: ref ? ref.seedIds : [], ...cardFeedbackOptions(feedback) }, p);
+    }
+    const comparison = buildProductComparison(runs);
+    console.log(`[Compare] SYB ${comparison.summary.syb.fit}/${comparison.summary.syb.coverage}% vs Beat Breeze ${comparison.summary.beatbreeze.fit}/${comparison.summary.beatbreeze.coverage}% (fit/coverage), leader: ${comparison.leader || 'tie'}`);
+    return {
+      dayparts: runs[product].dayparts,
+      recommendations: runs[product].recommendations,
+      designerNotes: runs[product].designerNotes,
+      extractedBrief: baseData,
+      product,
+      multiZone: false,
+      comparison,
+      seededCount: seedIds.length,
+      referenceSeed,
+      feedbackApplied,
+      daypartFixes,
+    };
+  }
+
   if (!isMultiZone) {
-    const { dayparts, ...rest } = await runPipeline(baseData);
-    return { dayparts, ...rest, extractedBrief: baseData, product, multiZone: false };
+    const { dayparts, ...rest } = await runPipeline(baseData, { seedIds, ...cardFeedbackOptions(feedback) });
+    return { dayparts, ...rest, extractedBrief: baseData, product, multiZone: false, seededCount: seedIds.length, referenceSeed, feedbackApplied, daypartFixes };
   }
 
-  // Multi-zone path: run pipeline per zone
+  // Multi-zone path: run pipeline per zone. Adjacent zones steer away from each
+  // other's playlists unless the customer asked for them to share.
   const allDayparts = {};
   const allRecommendations = [];
+  const shareAcrossZones = toolInput.shareAcrossZones === true;
+  let previousZoneIds = [];
 
   for (const zone of zones) {
     const zoneData = {
@@ -2056,8 +4495,9 @@ async function executeRecommendationTool(toolInput, product = 'syb') {
       genreHints: zone.genreHints || baseData.genreHints,
     };
 
-    const { dayparts, recommendations, designerNotes } = await runPipeline(zoneData);
+    const { dayparts, recommendations, designerNotes } = await runPipeline(zoneData, { avoidIds: shareAcrossZones ? [] : previousZoneIds, seedIds, ...cardFeedbackOptions(feedback, zone.name) });
     allDayparts[zone.name] = dayparts;
+    previousZoneIds = recommendations.map(r => r.playlistId);
     for (const rec of recommendations) {
       allRecommendations.push({ ...rec, zone: zone.name });
     }
@@ -2070,6 +4510,7 @@ async function executeRecommendationTool(toolInput, product = 'syb') {
     const wm = toolInput.weekendMode;
     weekendDayparts = {};
     weekendRecommendations = [];
+    previousZoneIds = [];
     for (const zone of zones) {
       const weekendData = {
         ...baseData,
@@ -2078,8 +4519,9 @@ async function executeRecommendationTool(toolInput, product = 'syb') {
         vibes: wm.vibes || zone.vibes || baseData.vibes,
         genreHints: wm.genreHints || zone.genreHints || baseData.genreHints,
       };
-      const { dayparts, recommendations } = await runPipeline(weekendData);
+      const { dayparts, recommendations } = await runPipeline(weekendData, { avoidIds: shareAcrossZones ? [] : previousZoneIds, seedIds, ...cardFeedbackOptions(feedback, zone.name, 'weekend') });
       weekendDayparts[zone.name] = dayparts;
+      previousZoneIds = recommendations.map(r => r.playlistId);
       for (const rec of recommendations) {
         weekendRecommendations.push({ ...rec, zone: zone.name, scheduleType: 'weekend' });
       }
@@ -2096,6 +4538,10 @@ async function executeRecommendationTool(toolInput, product = 'syb') {
     zoneNames: zones.map(z => z.name),
     weekendDayparts,
     weekendRecommendations,
+    seededCount: seedIds.length,
+    referenceSeed,
+    feedbackApplied,
+    daypartFixes,
   };
 }
 
@@ -2333,6 +4779,146 @@ async function requireRegistration(req, res, next) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Conversation persistence — turns, tool calls and the latest extractedBrief are
+// kept per design_users session, so a refresh or device switch can resume and
+// /submit reads the transcript from here instead of the browser's copy
+// ---------------------------------------------------------------------------
+async function findSessionUser(token) {
+  if (!pool || !token) return null;
+  const { rows } = await pool.query(
+    'SELECT id, email, is_blocked, verified FROM design_users WHERE session_token = $1',
+    [token]
+  );
+  const user = rows[0];
+  return user && user.verified && !user.is_blocked ? user : null;
+}
+
+// Session check for read-only endpoints — unlike requireRegistration, doesn't use up a message
+async function requireSession(req, res, next) {
+  if (!pool) return res.status(503).json({ error: 'Conversation history is not available.' });
+  try {
+    const user = await findSessionUser(req.headers['x-session-token']);
+    if (!user) return res.status(401).json({ error: 'Invalid session. Please register again.' });
+    req.designUser = user;
+    next();
+  } catch (err) {
+    console.error('[Auth] DB error:', err.message);
+    res.status(500).json({ error: 'Could not load your session. Please try again.' });
+  }
+}
+
+async function loadConversation(conversationId, userId) {
+  const id = parseInt(conversationId, 10);
+  if (!pool || !id || !userId) return null;
+  const { rows } = await pool.query(
+    'SELECT * FROM design_conversations WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+async function startConversation(userId, { mode, product, language }) {
+  const { rows } = await pool.query(
+    'INSERT INTO design_conversations (user_id, mode, product, language) VALUES ($1, $2, $3, $4) RETURNING *',
+    [userId, mode || null, product || 'syb', language || null]
+  );
+  return rows[0];
+}
+
+// Append one exchange. extractedBrief and recommendations only overwrite when the
+// exchange produced new ones; the pending structured question is always replaced.
+async function saveConversationTurn(conversationId, turn) {
+  const json = value => (value ? JSON.stringify(value) : null);
+  await pool.query(
+    `UPDATE design_conversations SET
+       turns = turns || $2::jsonb,
+       tool_calls = tool_calls || $3::jsonb,
+       extracted_brief = COALESCE($4::jsonb, extracted_brief),
+       last_recommendations = COALESCE($5::jsonb, last_recommendations),
+       pending_tool_use = $6::jsonb,
+       mode = COALESCE($7, mode),
+       product = COALESCE($8, product),
+       language = COALESCE($9, language),
+       updated_at = NOW()
+     WHERE id = $1`,
+    [
+      conversationId,
+      JSON.stringify(turn.turns),
+      JSON.stringify(turn.toolCalls),
+      json(turn.extractedBrief),
+      json(turn.recommendations),
+      json(turn.pendingToolUse),
+      turn.mode || null,
+      turn.product || null,
+      turn.language || null,
+    ]
+  );
+}
+
+// Same "Customer: / AI:" transcript the chat page used to build before submitting
+function conversationTranscript(turns) {
+  return (turns || [])
+    .filter(t => t.content)
+    .map(t => `${t.role === 'user' ? 'Customer' : 'AI'}: ${t.content}`)
+    .join('\n\n');
+}
+
+// What the chat page needs to resume; tool calls and the raw assistant content stay server-side
+function conversationView(row) {
+  const pending = row.pending_tool_use;
+  return {
+    id: row.id,
+    status: row.status,
+    mode: row.mode,
+    product: row.product,
+    language: row.language,
+    turns: (row.turns || []).map(t => ({ role: t.role, content: t.content })),
+    extractedBrief: row.extracted_brief || null,
+    recommendations: row.last_recommendations || null,
+    pendingQuestion: pending ? { toolUseId: pending.toolUseId, ...pending.question } : null,
+    briefId: row.brief_id || null,
+    updatedAt: row.updated_at,
+  };
+}
+
+app.get('/api/conversations', requireSession, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, status, mode, product, extracted_brief->>'venueName' AS venue_name,
+              jsonb_array_length(turns) AS turn_count, brief_id, updated_at
+       FROM design_conversations WHERE user_id = $1 ORDER BY updated_at DESC LIMIT 10`,
+      [req.designUser.id]
+    );
+    res.json({
+      conversations: rows.map(r => ({
+        id: r.id,
+        status: r.status,
+        mode: r.mode,
+        product: r.product,
+        venueName: r.venue_name,
+        turnCount: r.turn_count,
+        briefId: r.brief_id,
+        updatedAt: r.updated_at,
+      })),
+    });
+  } catch (err) {
+    console.error('[Conversation] List failed:', err.message);
+    res.status(500).json({ error: 'Could not load conversations.' });
+  }
+});
+
+app.get('/api/conversations/:id', requireSession, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req.params.id, req.designUser.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found.' });
+    res.json(conversationView(conversation));
+  } catch (err) {
+    console.error('[Conversation] Load failed:', err.message);
+    res.status(500).json({ error: 'Could not load conversation.' });
+  }
+});
+
 // Chat endpoint with SSE streaming
 const chatLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -2416,12 +5002,27 @@ Write in third person, professional tone. No bullet points — flowing sentences
 }
 
 app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
-  const { message, history, mode, language, product, pendingToolUse } = req.body;
+  const { message, history, mode, language, product, pendingToolUse, conversationId } = req.body;
+  const cardFeedback = normalizeCardFeedback(req.body.cardFeedback);
 
   if (!message || typeof message !== 'string') {
     return res.status(400).json({ error: 'Message is required.' });
   }
 
+  // Server-side conversation for registered sessions; posted history is only the no-DB fallback
+  let conversation = null;
+  if (pool && req.designUser) {
+    try {
+      // A submitted conversation is closed; a message for it starts a new one
+      conversation = await loadConversation(conversationId, req.designUser.id);
+      if (!conversation || conversation.status !== 'active') {
+        conversation = await startConversation(req.designUser.id, { mode, product, language });
+      }
+    } catch (err) {
+      console.error('[Conversation] Load failed (non-critical):', err.message);
+    }
+  }
+
   // Set up SSE
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -2430,10 +5031,33 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
     'X-Accel-Buffering': 'no',
   });
 
+  // What this exchange adds to the conversation — the reply text is rebuilt the way the page shows it
+  const turn = { reply: '', toolCalls: [], extractedBrief: null, recommendations: null, pendingToolUse: null };
   const sendSSE = (type, data) => {
+    if (type === 'text') turn.reply = data.content;
+    else if (type === 'text_delta') turn.reply += data.content;
     res.write(`data: ${JSON.stringify({ type, ...data })}\n\n`);
   };
 
+  const persistTurn = async () => {
+    if (!conversation) return;
+    const at = new Date().toISOString();
+    try {
+      await saveConversationTurn(conversation.id, {
+        turns: [{ role: 'user', content: message, at }, ...(turn.reply ? [{ role: 'assistant', content: turn.reply, at }] : [])],
+        toolCalls: turn.toolCalls,
+        extractedBrief: turn.extractedBrief,
+        recommendations: turn.recommendations,
+        pendingToolUse: turn.pendingToolUse,
+        mode, product, language,
+      });
+    } catch (err) {
+      console.error('[Conversation] Save failed (non-critical):', err.message);
+    }
+  };
+
+  if (conversation) sendSSE('conversation', { conversationId: conversation.id });
+
   try {
     if (!anthropic) {
       sendSSE('text', { content: "I'm sorry, the AI service is temporarily unavailable. Please try again later." });
@@ -2441,10 +5065,11 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
       return res.end();
     }
 
-    // Build messages array from history
+    // Build messages array from the stored turns (or posted history without a DB)
     const messages = [];
-    if (Array.isArray(history)) {
-      for (const msg of history) {
+    const priorTurns = conversation ? conversation.turns : history;
+    if (Array.isArray(priorTurns)) {
+      for (const msg of priorTurns) {
         if (msg.role === 'user' || msg.role === 'assistant') {
           messages.push({ role: msg.role, content: msg.content });
         }
@@ -2465,6 +5090,12 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
 
     // Helper: execute a single tool and return its result text
     async function executeToolCall(toolBlock) {
+      const result = await runToolCall(toolBlock);
+      turn.toolCalls.push({ name: toolBlock.name, input: toolBlock.input, result, at: new Date().toISOString() });
+      return result;
+    }
+
+    async function runToolCall(toolBlock) {
       if (toolBlock.name === 'lookup_existing_client') {
         const lookupResult = await executeClientLookup(toolBlock.input);
         if (lookupResult.found && lookupResult.source === 'syb') {
@@ -2527,6 +5158,8 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
         // Check for structured question (always handled alone — ends the response)
         const sqBlock = toolUseBlocks.find(b => b.name === 'ask_structured_question');
         if (sqBlock) {
+          turn.toolCalls.push({ name: sqBlock.name, input: sqBlock.input, at: new Date().toISOString() });
+          turn.pendingToolUse = { toolUseId: sqBlock.id, assistantContent: resp.content, question: sqBlock.input };
           sendSSE('structured_question', {
             toolUseId: sqBlock.id,
             assistantContent: resp.content,
@@ -2538,9 +5171,46 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
         // Check for generate_recommendations (always handled alone)
         const recBlock = toolUseBlocks.find(b => b.name === 'generate_recommendations');
         if (recBlock) {
-          const toolResult = await executeRecommendationTool(recBlock.input, product);
+          const toolResult = await executeRecommendationTool(recBlock.input, product, cardFeedback);
+          turn.toolCalls.push({
+            name: recBlock.name,
+            input: recBlock.input,
+            result: toolResult.daypartErrors ? { daypartErrors: toolResult.daypartErrors } : { recommendations: toolResult.recommendations.length },
+            at: new Date().toISOString(),
+          });
+
+          // Custom time blocks that couldn't be fixed: no cards, the AI asks instead
+          if (toolResult.daypartErrors) {
+            const toolResults = [];
+            for (const block of toolUseBlocks) {
+              if (block.id === recBlock.id) {
+                toolResults.push({
+                  type: 'tool_result',
+                  tool_use_id: block.id,
+                  is_error: true,
+                  content: `The custom time blocks need clarification before recommendations can be generated:\n${JSON.stringify(toolResult.daypartErrors, null, 2)}\n\nAsk the customer ONE short clarifying question that resolves these (e.g. the exact start and end time of a block, or which of two overlapping blocks should win). Do not mention error codes. Once they answer, call generate_recommendations again with corrected customDayparts.`,
+                });
+              } else {
+                const result = await executeToolCall(block);
+                toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: result || 'Tool executed.' });
+              }
+            }
+            const stream = anthropic.messages.stream({
+              model: AI_MODEL,
+              max_tokens: 500,
+              system: systemPrompt,
+              tools: ALL_TOOLS,
+              messages: [...msgs, { role: 'assistant', content: resp.content }, { role: 'user', content: toolResults }],
+            });
+            for await (const event of stream) {
+              if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                sendSSE('text_delta', { content: event.delta.text });
+              }
+            }
+            return;
+          }
 
-          sendSSE('recommendations', {
+          turn.recommendations = {
             recommendations: toolResult.recommendations,
             dayparts: toolResult.dayparts,
             designerNotes: toolResult.designerNotes,
@@ -2549,12 +5219,16 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
             zoneNames: toolResult.zoneNames || [],
             weekendDayparts: toolResult.weekendDayparts || null,
             weekendRecommendations: toolResult.weekendRecommendations || null,
-          });
+            comparison: toolResult.comparison || null,
+            referenceSeed: toolResult.referenceSeed || null,
+          };
+          turn.extractedBrief = toolResult.extractedBrief || null;
+          sendSSE('recommendations', turn.recommendations);
 
           let playlistSummary, daypartSummary;
           if (toolResult.multiZone) {
             playlistSummary = toolResult.recommendations.map(r =>
-              `- [${r.zone}] ${r.name} (${r.daypart}, ${r.matchScore}% match)`
+              `- [${r.zone}] ${r.name} (${r.daypart}, ${r.matchScore}% match)${r.scoreBreakdown ? ` — evidence: ${formatScoreEvidence(r.scoreBreakdown)}` : ''}`
             ).join('\n');
             daypartSummary = toolResult.zoneNames.map(z => {
               const dps = toolResult.dayparts[z] || [];
@@ -2562,10 +5236,25 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
             }).join(' | ');
           } else {
             playlistSummary = toolResult.recommendations.map(r =>
-              `- ${r.name} (${r.daypart}, ${r.matchScore}% match)`
+              `- ${r.name} (${r.daypart}, ${r.matchScore}% match)${r.scoreBreakdown ? ` — evidence: ${formatScoreEvidence(r.scoreBreakdown)}` : ''}`
             ).join('\n');
             daypartSummary = toolResult.dayparts.map(d => d.label).join(', ');
           }
+          if (toolResult.seededCount > 0) {
+            playlistSummary += `\n\n(Internal: ${toolResult.seededCount} playlists approved for a comparable past venue were favored. Never name other clients or venues.)`;
+          }
+          if (toolResult.feedbackApplied) {
+            const { pinned, excluded } = toolResult.feedbackApplied;
+            playlistSummary += `\n\n(Card feedback applied: ${pinned} pinned card(s) kept in place, ${excluded} thumbs-down card(s) excluded and similar playlists ranked lower. Acknowledge briefly that their picks were kept.)`;
+          }
+          if (toolResult.daypartFixes?.length > 0) {
+            playlistSummary += `\n\n(Custom time blocks adjusted: ${toolResult.daypartFixes.join('; ')}. Mention these adjustments briefly so the customer can correct them.)`;
+          }
+          const curve = toolResult.extractedBrief?.energyCurve;
+          if (curve) {
+            playlistSummary += `\n\n(Energy curve: ${curve.label}${curve.source === 'venue-default' ? ' — the default for this venue type' : ''}, offsets [${curve.points.join(', ')}]${curve.intensity !== 1 ? ` x${curve.intensity}` : ''}. If it doesn't match how the customer described their day, call the tool again with a different energyCurve.)`;
+          }
+          const comparisonSummary = toolResult.comparison ? describeProductComparison(toolResult.comparison) : '';
 
           // Build tool_results for ALL tool_use blocks (rec + any others called simultaneously)
           const toolResults = [];
@@ -2574,7 +5263,9 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
               toolResults.push({
                 type: 'tool_result',
                 tool_use_id: block.id,
-                content: toolResult.multiZone
+                content: comparisonSummary
+                  ? `${comparisonSummary}\n\nThe customer sees both schedules side by side with "choose" buttons. Present the comparison like a designer would — where each product is stronger for this venue and why (catalog depth and licensing for Soundtrack Your Brand, royalty-free pricing and track-level curation for Beat Breeze). Be even-handed; mention the stronger fit only if the scores clearly differ. Do NOT list the playlists. Ask which one they'd like to go with. Keep it to 3-4 sentences.`
+                  : toolResult.multiZone
                   ? `Generated ${toolResult.recommendations.length} playlist recommendations across ${toolResult.zoneNames.length} zones (${daypartSummary}):\n${playlistSummary}${toolResult.weekendRecommendations ? `\n\nAlso generated ${toolResult.weekendRecommendations.length} weekend schedule recommendations.` : ''}\n\nThe playlist cards are displayed grouped by zone. Present these results like a designer presenting their work — briefly explain your DESIGN RATIONALE for each zone and how the zones work together as a cohesive venue experience. Describe the ENERGY ARC across zones. Do NOT list the playlists (they can see the cards). Keep it to 3-4 sentences.`
                   : `Generated ${toolResult.recommendations.length} playlist recommendations across ${Array.isArray(toolResult.dayparts) ? toolResult.dayparts.length : Object.keys(toolResult.dayparts).length} dayparts (${daypartSummary}):\n${playlistSummary}\n\nThe playlist cards are displayed with preview links and "Add to brief" buttons. Present these results like a designer presenting their work — briefly explain your DESIGN RATIONALE: why this schedule flows the way it does and how it matches their venue concept. Describe the ENERGY ARC: how the music story flows from opening through peak to close. The customer should feel the journey, not just see a list. Do NOT list the playlists (they can see the cards). Keep it to 2-3 sentences.`,
               });
@@ -2648,14 +5339,15 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
     }
 
     // Handle pending tool use round-trip (user answered a structured question)
-    if (pendingToolUse && pendingToolUse.toolUseId && pendingToolUse.assistantContent) {
+    const pending = conversation ? conversation.pending_tool_use : pendingToolUse;
+    if (pending && pending.toolUseId && pending.assistantContent) {
       messages.pop(); // remove the user message we just added as plain text
-      messages.push({ role: 'assistant', content: pendingToolUse.assistantContent });
+      messages.push({ role: 'assistant', content: pending.assistantContent });
       messages.push({
         role: 'user',
         content: [{
           type: 'tool_result',
-          tool_use_id: pendingToolUse.toolUseId,
+          tool_use_id: pending.toolUseId,
           content: `The customer selected: "${message}"`,
         }],
       });
@@ -2675,10 +5367,12 @@ app.post('/api/chat', chatLimiter, requireRegistration, async (req, res) => {
       await handleResponse(response, messages);
     }
 
+    await persistTurn();
     sendSSE('done', {});
     res.end();
   } catch (err) {
     console.error('Chat error:', err);
+    await persistTurn();
     sendSSE('error', { content: 'Something went wrong. Please try again.' });
     sendSSE('done', {});
     res.end();
@@ -2692,36 +5386,122 @@ app.post('/api/recommend', recommendLimiter, requireRegistration, async (req, re
     }
 
     const energy = parseInt(data.energy, 10) || 5;
-    const dayparts = generateDayparts(data.hours, energy);
+    const dayparts = openDayparts(generateDayparts(data.hours, energy, undefined, resolveEnergyCurve(data.energyCurve, data.venueType)));
+
+    // Stage 1: deterministic shortlist (~40 diverse candidates with evidence)
+    const perDaypart = Math.ceil(RERANK_CANDIDATE_LIMIT / dayparts.length);
+    const shortlist = enrichRecommendations(deterministicMatch(data, dayparts, [], { perDaypart }));
 
     let result;
-    if (anthropic) {
+    let validation = null;
+    if (anthropic && shortlist.recommendations.length > 0) {
+      // Stage 2: model reranks the shortlist via a forced tool call
       try {
+        const rerankTool = buildRerankTool(dayparts);
         const response = await anthropicRetry(() => anthropic.messages.create({
           model: AI_MODEL,
-          max_tokens: 1500,
-          system: buildSystemPrompt(dayparts),
+          max_tokens: 2000,
+          system: buildSystemPrompt(dayparts, shortlist.recommendations, activeSeasons(data)),
+          tools: [rerankTool],
+          tool_choice: { type: 'tool', name: rerankTool.name },
           messages: [{ role: 'user', content: buildUserMessage(data) }],
         }));
-        const text = response.content[0].text.trim();
-        const jsonStr = text.replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
-        result = JSON.parse(jsonStr);
+        const toolBlock = response.content.find(b => b.type === 'tool_use' && b.name === rerankTool.name);
+        const checked = validateRerankOutput(toolBlock?.input, shortlist.recommendations, dayparts);
+        validation = {
+          candidates: shortlist.recommendations.length,
+          repaired: checked.issues.filter(i => i.action !== 'dropped').length,
+          dropped: checked.issues.filter(i => i.action === 'dropped').length,
+          issues: checked.issues,
+        };
+        if (checked.issues.length > 0) {
+          console.log(`[Recommend] Rerank output: ${validation.repaired} repaired, ${validation.dropped} dropped`);
+        }
+        if (checked.recommendations.length > 0) {
+          result = {
+            recommendations: explainRecommendations(data, dayparts, CATALOG_SOURCES.syb, loadPlaylistCatalog(), checked.recommendations),
+            designerNotes: checked.designerNotes,
+          };
+        } else {
+          console.log('[Recommend] Rerank returned no usable items, using engine ranking');
+        }
       } catch (aiErr) {
-        console.error('AI recommendation error, falling back:', aiErr.message);
-        result = deterministicMatch(data, dayparts);
+        console.error('AI rerank error, falling back:', aiErr.message);
       }
-    } else {
-      result = deterministicMatch(data, dayparts);
     }
+    if (!result) result = deterministicMatch(data, dayparts);
 
     const enriched = enrichRecommendations(result);
-    res.json({ success: true, dayparts, ...enriched });
+    res.json({ success: true, dayparts, ...enriched, ...(validation ? { validation } : {}) });
   } catch (err) {
     console.error('Recommend error:', err);
     res.status(500).json({ error: 'Failed to generate recommendations.' });
   }
 });
 
+// Side-by-side scoring profile comparison for the design team — auth via
+// DESIGN_TEAM_TOKEN bearer header (open if unset, like /api/metrics).
+// Body: { brief, profileA, profileB, product } where a profile is a name from
+// data/scoring-weights.json or an inline { weights, venueTypes } object.
+app.post('/api/scoring/compare', designToolsLimiter, (req, res) => {
+  const token = process.env.DESIGN_TEAM_TOKEN;
+  if (token) {
+    const auth = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (auth !== token) return res.status(401).json({ error: 'unauthorized' });
+  }
+  const { brief, profileA, profileB, product } = req.body || {};
+  if (!brief || typeof brief !== 'object') {
+    return res.status(400).json({ error: 'brief is required.' });
+  }
+  if (!profileA || !profileB) {
+    return res.status(400).json({ error: 'profileA and profileB are required.' });
+  }
+  const profileError = scoringProfileError(profileA) || scoringProfileError(profileB);
+  if (profileError) return res.status(400).json({ error: profileError });
+  try {
+    const data = { vibes: ['relaxed'], energy: 5, ...brief };
+    res.json({ success: true, ...compareScoringProfiles(data, profileA, profileB, product === 'beatbreeze' ? 'beatbreeze' : 'syb') });
+  } catch (err) {
+    console.error('[Scoring] Compare error:', err);
+    res.status(500).json({ error: 'Failed to compare scoring profiles.' });
+  }
+});
+
+// Track-level custom Beat Breeze playlist for a brief — design team only,
+// same DESIGN_TEAM_TOKEN auth as /api/scoring/compare.
+// Body: { brief, tracksPerDaypart?, excludeTrackIds?, likedFolderIds?, profile? }
+app.post('/api/beatbreeze/custom-playlist', designToolsLimiter, (req, res) => {
+  const token = process.env.DESIGN_TEAM_TOKEN;
+  if (token) {
+    const auth = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (auth !== token) return res.status(401).json({ error: 'unauthorized' });
+  }
+  const { brief, tracksPerDaypart, excludeTrackIds, likedFolderIds, profile } = req.body || {};
+  if (!brief || typeof brief !== 'object') {
+    return res.status(400).json({ error: 'brief is required.' });
+  }
+  if ((excludeTrackIds != null && !Array.isArray(excludeTrackIds)) || (likedFolderIds != null && !Array.isArray(likedFolderIds))) {
+    return res.status(400).json({ error: 'excludeTrackIds and likedFolderIds must be arrays.' });
+  }
+  const profileError = scoringProfileError(profile);
+  if (profileError) return res.status(400).json({ error: profileError });
+  try {
+    const data = { vibes: ['relaxed'], energy: 5, ...brief };
+    data.avoid = parseAvoidList(data.avoidList);
+    const playlist = buildCustomBeatBreezePlaylist(data, resolveDayparts(data), {
+      tracksPerDaypart: clamp(parseInt(tracksPerDaypart, 10) || 0, 0, CUSTOM_PLAYLIST_MAX_TRACKS) || undefined,
+      excludeTrackIds,
+      likedFolderIds,
+      profile,
+    });
+    if (!playlist) return res.status(503).json({ error: 'Beat Breeze catalog not loaded.' });
+    res.json({ success: true, playlist });
+  } catch (err) {
+    console.error('[Beat Breeze] Custom playlist error:', err);
+    res.status(500).json({ error: 'Failed to build the custom playlist.' });
+  }
+});
+
 app.post('/submit', submitLimiter, async (req, res) => {
   try {
     const data = req.body;
@@ -2736,19 +5516,56 @@ app.post('/submit', submitLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Venue name is required.' });
     }
 
+    // With a database every submission needs a conversation owned by the session:
+    // the transcript and extractedBrief come from what was stored, never from the
+    // posted copies, which are only used when there is no database
+    let conversation = null;
+    if (pool) {
+      let user = null;
+      try {
+        user = await findSessionUser(req.headers['x-session-token']);
+        conversation = user && data.conversationId ? await loadConversation(data.conversationId, user.id) : null;
+      } catch (err) {
+        console.error('[Submit] Conversation lookup failed:', err.message);
+        return res.status(500).json({ error: 'Could not load your conversation. Please try again.' });
+      }
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid session. Please register again.' });
+      }
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found. Please refresh the page and try again.' });
+      }
+      if (conversation.status !== 'active') {
+        return res.status(409).json({ error: 'This conversation has already been submitted. Please start a new one.' });
+      }
+    }
+    delete data.conversationId;
+
     const aiResults = {
       likedPlaylists: data.likedPlaylists || [],
       allRecommendations: data.allRecommendations || [],
     };
     const daypartsMetadata = data.daypartsMetadata;
-    const extractedBrief = data.extractedBrief;
-    const conversationSummary = data.conversationSummary;
+    const extractedBrief = conversation ? conversation.extracted_brief : data.extractedBrief;
+    const conversationSummary = conversation ? conversationTranscript(conversation.turns) : data.conversationSummary;
+    const productComparison = sanitizeProductComparison(data.productComparison);
+    delete data.productComparison;
+    const cardFeedback = normalizeCardFeedback(data.cardFeedback).filter(f => f.action !== 'pin');
+    delete data.cardFeedback;
     delete data.likedPlaylists;
     delete data.allRecommendations;
     delete data.daypartsMetadata;
     delete data.extractedBrief;
     delete data.conversationSummary;
 
+    // Brief fields the page copies out of extractedBrief — the stored brief wins
+    if (conversation) {
+      for (const field of ['location', 'hours', 'vibes', 'energy', 'venueType', 'sybAccountId', 'eventDate', 'eventTimeRange', 'existingScheduleId']) {
+        if (extractedBrief?.[field] != null && extractedBrief[field] !== '') data[field] = extractedBrief[field];
+      }
+      data.mode = conversation.mode || data.mode;
+    }
+
     // Merge extracted brief from chat into data for email builder
     if (extractedBrief) {
       data.vibes = data.vibes || extractedBrief.vibes || ['relaxed'];
@@ -2763,10 +5580,13 @@ app.post('/submit', submitLimiter, async (req, res) => {
       data.ageRange = data.ageRange || extractedBrief.ageRange || '';
       data.nationality = data.nationality || extractedBrief.nationality || '';
       data.moodChanges = data.moodChanges || extractedBrief.moodChanges || '';
+      data.energyCurve = data.energyCurve || extractedBrief.energyCurve || null;
     }
 
     // Ensure vibes is an array for buildDesignerBrief
     if (!data.vibes) data.vibes = ['relaxed'];
+    // Structured avoid list — always re-parsed server-side from the raw text
+    data.avoid = parseAvoidList(data.avoidList);
 
     const brief = buildDesignerBrief(data);
 
@@ -2777,23 +5597,73 @@ app.post('/submit', submitLimiter, async (req, res) => {
       const dpOrder = [];
       for (const dp of daypartsMetadata) {
         dpOrder.push(dp.key);
-        dpMap[dp.key] = {
+        dpMap[dp.key] = dp.closed ? { closed: true, label: dp.label, icon: dp.icon, timeRange: dp.timeRange } : {
           energy: dp.energy,
           genres: brief.topGenres.slice(0, dp.energy >= energy ? 6 : 5),
           label: dp.label,
           icon: dp.icon,
           timeRange: dp.timeRange,
         };
+        if (Array.isArray(dp.dayTimes)) {
+          dpMap[dp.key].dayTimes = dp.dayTimes
+            .filter(t => t && Array.isArray(t.days) && typeof t.timeRange === 'string')
+            .map(t => ({ days: t.days.filter(d => WEEKDAY_CODES.includes(d)), timeRange: t.timeRange.slice(0, 40) }));
+        }
       }
       brief.dayparts = dpMap;
       brief.daypartOrder = dpOrder;
     }
 
+    // Closed gaps between opening windows: silent unless the brief names a fallback playlist
+    const closedFallback = extractedBrief?.closedFallback ? String(extractedBrief.closedFallback).slice(0, 200) : '';
+    for (const dp of Object.values(brief.dayparts)) {
+      if (!dp.closed) continue;
+      const shown = aiResults.allRecommendations.find(r => r.sybId && r.name?.toLowerCase() === closedFallback.toLowerCase());
+      const sybId = closedFallback ? (shown?.sybId || findPlaylistSybId(closedFallback)) : null;
+      dp.fallback = sybId ? { sybId, name: closedFallback } : null;
+    }
+
+    // Transition bridges between dayparts (SYB only, opt-in per brief)
+    data.transitionMinutes = transitionMinutes(data.transitionMinutes ?? extractedBrief?.transitionMinutes);
+    if (data.transitionMinutes && (data.product || 'syb') === 'syb') {
+      try {
+        data._transitions = planTransitionBridges(
+          { ...data, genreHints: extractedBrief?.genreHints || [] },
+          brief.dayparts, brief.daypartOrder, aiResults.likedPlaylists, data.transitionMinutes
+        );
+        console.log(`[Transitions] ${data._transitions.length} bridge(s) of ${data.transitionMinutes} min planned`);
+      } catch (err) {
+        console.error('[Transitions] Bridge planning failed (non-critical):', err.message);
+      }
+    }
+
     // Generate concise AI summary for email (raw transcript still stored in DB)
     if (conversationSummary) {
       data._conversationSummary = await summarizeConversation(conversationSummary);
     }
 
+    // SYB vs Beat Breeze comparison the customer chose from (email + raw_data)
+    if (productComparison) data._productComparison = productComparison;
+    if (cardFeedback.length > 0) data._cardFeedback = cardFeedback;
+
+    // Internal attribution for reference-venue seeding (designer email + raw_data only):
+    // the reference the stored recommendations were actually seeded from
+    data._referenceSeed = await referenceSeedDetails(conversation?.last_recommendations?.referenceSeed);
+
+    // Beat Breeze: a track-by-track custom playlist for the design team
+    if (data.product === 'beatbreeze') {
+      try {
+        const dayparts = (brief.daypartOrder || Object.keys(brief.dayparts)).map(key => ({ key, ...brief.dayparts[key] }));
+        data._customPlaylist = buildCustomBeatBreezePlaylist(
+          { ...data, genreHints: extractedBrief?.genreHints || [] },
+          dayparts,
+          { likedFolderIds: aiResults.likedPlaylists.map(p => p.playlistId).filter(Boolean) }
+        );
+      } catch (err) {
+        console.error('[Beat Breeze] Custom playlist build failed (non-critical):', err.message);
+      }
+    }
+
     // Store brief in PostgreSQL FIRST (need brief ID for approval token)
     let briefId = null;
     let approvalUrl = null;
@@ -2809,14 +5679,21 @@ app.post('/submit', submitLimiter, async (req, res) => {
       eventDate: data.eventDate || null,
       eventTimeRange: data.eventTimeRange || null,
       existingScheduleId: data.existingScheduleId || null,
+      transitionMinutes: data.transitionMinutes || 0,
     };
 
+    // Seasonal overlays (SYB only): planned now, applied day by day by the worker
+    if ((data.seasonalOverlays || extractedBrief?.seasonalOverlays) && (data.product || 'syb') === 'syb') {
+      scheduleData.seasonalOverlays = await planSeasonalOverlays(data);
+      data._seasonalOverlays = scheduleData.seasonalOverlays;
+    }
+
     if (pool) {
       try {
         const likedIds = aiResults.likedPlaylists.map(p => p.name || p);
         const briefResult = await pool.query(
-          `INSERT INTO briefs (venue_name, venue_type, location, contact_name, contact_email, product, liked_playlist_ids, conversation_summary, raw_data, schedule_data, mode)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+          `INSERT INTO briefs (venue_name, venue_type, location, contact_name, contact_email, product, liked_playlist_ids, conversation_summary, raw_data, schedule_data, mode, conversation_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
           [
             data.venueName,
             data.venueType || null,
@@ -2826,13 +5703,21 @@ app.post('/submit', submitLimiter, async (req, res) => {
             data.product || 'syb',
             likedIds,
             conversationSummary || null,
-            JSON.stringify({ brief, aiResults, extractedBrief }),
+            JSON.stringify({ brief, aiResults, extractedBrief, avoid: data.avoid, referenceSeed: data._referenceSeed, customPlaylist: data._customPlaylist || null, productComparison, cardFeedback }),
             JSON.stringify(scheduleData),
             data.mode || 'new',
+            conversation?.id || null,
           ]
         );
         briefId = briefResult.rows[0].id;
 
+        if (conversation) {
+          await pool.query(
+            `UPDATE design_conversations SET status = 'submitted', brief_id = $1, updated_at = NOW() WHERE id = $2`,
+            [briefId, conversation.id]
+          );
+        }
+
         // Upsert venue profile
         await pool.query(
           `INSERT INTO venues (venue_name, location, venue_type, latest_brief_id, updated_at)
@@ -2864,6 +5749,7 @@ app.post('/submit', submitLimiter, async (req, res) => {
 
             if (mappings.length > 0) {
               let entriesCreated = 0;
+              const scheduledZones = new Map();
               const allPlaylists = [...(scheduleData.likedPlaylists || []), ...(scheduleData.weekendLikedPlaylists || [])];
               for (const playlist of allPlaylists) {
                 const zoneName = playlist.zone || 'Main';
@@ -2872,22 +5758,27 @@ app.post('/submit', submitLimiter, async (req, res) => {
 
                 const dpKey = playlist.daypart;
                 const dp = scheduleData.dayparts?.[dpKey];
-                const timeRange = dp?.timeRange || playlist.timeRange || '';
-                const startTime = parseStartTime(timeRange);
-                const endTime = parseEndTime(timeRange);
-                if (!startTime) continue;
-
                 const sybId = playlist.sybId || findPlaylistSybId(playlist.name || playlist.playlistId);
                 if (!sybId) continue;
 
-                const days = playlist.scheduleType === 'weekend' ? 'weekend' : 'daily';
                 const tz = venueRow?.timezone || 'Asia/Bangkok';
-                await pool.query(
-                  `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone)
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-                  [briefId, mapping.syb_zone_id, zoneName, sybId, playlist.name, startTime, endTime, days, tz]
-                );
-                entriesCreated++;
+                for (const { days: groupDays, timeRange } of daypartTimes(dp, playlist.timeRange)) {
+                  const { startTime, endTime } = entryTimes(timeRange);
+                  const days = entryDaysFor(groupDays, playlist.scheduleType);
+                  if (!startTime || !days) continue;
+
+                  await pool.query(
+                    `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                    [briefId, mapping.syb_zone_id, zoneName, sybId, playlist.name, startTime, endTime, days, tz]
+                  );
+                  entriesCreated++;
+                  scheduledZones.set(zoneName, mapping.syb_zone_id);
+                }
+              }
+              for (const [zoneName, zoneId] of scheduledZones) {
+                await insertClosureEntries(briefId, zoneId, zoneName, scheduleData.dayparts, venueRow?.timezone || 'Asia/Bangkok');
+                await insertBridgeEntries(briefId, zoneId, zoneName, scheduleData.dayparts, venueRow?.timezone || 'Asia/Bangkok');
               }
 
               if (entriesCreated > 0) {
@@ -3010,12 +5901,12 @@ app.post('/submit', submitLimiter, async (req, res) => {
             );
 
             // Block tracks matching avoid list on the venue's zones (non-critical)
-            if (data.avoidList && data.sybAccountId) {
+            if (hasAvoidRules(data.avoid) && data.sybAccountId) {
               try {
                 const zones = await sybGetZones(data.sybAccountId);
                 const zoneIds = zones.map(z => z.id);
                 if (zoneIds.length > 0) {
-                  const blockedTrackIds = await sybBlockTracksForAvoidList(data.avoidList, zoneIds);
+                  const blockedTrackIds = await sybBlockTracksForAvoidList(data.avoid, zoneIds);
                   if (blockedTrackIds.length > 0) {
                     sybScheduleResult.blockedTracks = blockedTrackIds.length;
                     // Store blocked track IDs in schedule_data for potential cleanup
@@ -3034,8 +5925,7 @@ app.post('/submit', submitLimiter, async (req, res) => {
             if (data.mode === 'event' && data.eventDate && pool) {
               try {
                 const eventTimeRange = data.eventTimeRange || extractedBrief?.eventTimeRange;
-                const startTime = eventTimeRange ? parseStartTime(eventTimeRange) : null;
-                const endTime = eventTimeRange ? parseEndTime(eventTimeRange) : null;
+                const { startTime, endTime } = entryTimes(eventTimeRange);
                 const tz = 'Asia/Bangkok'; // default; could be extracted from conversation
 
                 if (startTime) {
@@ -3275,8 +6165,7 @@ app.post('/approve/:token', express.urlencoded({ extended: true }), async (req,
       // Event brief with pre-built schedule: create date-specific entries for the worker
       const eventDate = schedule.eventDate;
       const eventTimeRange = schedule.eventTimeRange || '';
-      const startTime = eventTimeRange ? parseStartTime(eventTimeRange) : null;
-      const endTime = eventTimeRange ? parseEndTime(eventTimeRange) : null;
+      const { startTime, endTime } = entryTimes(eventTimeRange);
 
       if (startTime) {
         for (const [zoneName, mapping] of Object.entries(zoneMappings)) {
@@ -3327,22 +6216,21 @@ app.post('/approve/:token', express.urlencoded({ extended: true }), async (req,
 
         const dpKey = playlist.daypart;
         const dp = schedule.dayparts?.[dpKey];
-        const timeRange = dp?.timeRange || playlist.timeRange || '';
-        const startTime = parseStartTime(timeRange);
-        const endTime = parseEndTime(timeRange);
-        if (!startTime) continue;
-
         const sybId = playlist.sybId || findPlaylistSybId(playlist.name || playlist.playlistId);
         if (!sybId) continue;
 
-        const days = playlist.scheduleType === 'weekend' ? 'weekend' : 'daily';
+        for (const { days: groupDays, timeRange } of daypartTimes(dp, playlist.timeRange)) {
+          const { startTime, endTime } = entryTimes(timeRange);
+          const days = entryDaysFor(groupDays, playlist.scheduleType);
+          if (!startTime || !days) continue;
 
-        await pool.query(
-          `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-          [briefId, mapping.sybZoneId, zoneName, sybId, playlist.name, startTime, endTime, days, venueTz]
-        );
-        entriesCreated++;
+          await pool.query(
+            `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [briefId, mapping.sybZoneId, zoneName, sybId, playlist.name, startTime, endTime, days, venueTz]
+          );
+          entriesCreated++;
+        }
       }
 
       // Also handle weekend playlists if present
@@ -3354,20 +6242,29 @@ app.post('/approve/:token', express.urlencoded({ extended: true }), async (req,
 
         const dpKey = playlist.daypart;
         const dp = schedule.weekendDayparts?.[dpKey] || schedule.dayparts?.[dpKey];
-        const timeRange = dp?.timeRange || playlist.timeRange || '';
-        const startTime = parseStartTime(timeRange);
-        const endTime = parseEndTime(timeRange);
-        if (!startTime) continue;
-
         const sybId = playlist.sybId || findPlaylistSybId(playlist.name || playlist.playlistId);
         if (!sybId) continue;
 
-        await pool.query(
-          `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, 'weekend', $8)`,
-          [briefId, mapping.sybZoneId, zoneName, sybId, playlist.name, startTime, endTime, venueTz]
-        );
-        entriesCreated++;
+        for (const { days: groupDays, timeRange } of daypartTimes(dp, playlist.timeRange)) {
+          const { startTime, endTime } = entryTimes(timeRange);
+          const days = entryDaysFor(groupDays, 'weekend');
+          if (!startTime || !days) continue;
+
+          await pool.query(
+            `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [briefId, mapping.sybZoneId, zoneName, sybId, playlist.name, startTime, endTime, days, venueTz]
+          );
+          entriesCreated++;
+        }
+      }
+
+      // Split shifts: silence (or the fallback playlist) between opening windows;
+      // transition bridges at daypart changes
+      for (const [zoneName, mapping] of Object.entries(zoneMappings)) {
+        if (![...likedPlaylists, ...weekendPlaylists].some(p => (p.zone || 'Main') === zoneName)) continue;
+        await insertClosureEntries(briefId, mapping.sybZoneId, zoneName, schedule.dayparts, venueTz);
+        await insertBridgeEntries(briefId, mapping.sybZoneId, zoneName, schedule.dayparts, venueTz);
       }
     }
 
@@ -3398,30 +6295,15 @@ app.post('/approve/:token', express.urlencoded({ extended: true }), async (req,
 // Helpers: time parsing, playlist lookup, approval page rendering
 // ---------------------------------------------------------------------------
 
-function parseStartTime(timeRange) {
-  // Parse "9:00 AM - 12:00 PM" or "09:00 - 12:00" or "9am - 12pm" format
-  if (!timeRange) return null;
-  const match = timeRange.match(/(\d{1,2}):?(\d{2})?\s*(AM|PM|am|pm)?/);
-  if (!match) return null;
-  let hours = parseInt(match[1], 10);
-  const minutes = match[2] || '00';
-  const ampm = (match[3] || '').toUpperCase();
-  if (ampm === 'PM' && hours < 12) hours += 12;
-  if (ampm === 'AM' && hours === 12) hours = 0;
-  return `${String(hours).padStart(2, '0')}:${minutes}`;
-}
-
-function parseEndTime(timeRange) {
-  if (!timeRange) return null;
-  // Match the second time in the range (after dash/hyphen)
-  const parts = timeRange.split(/[-–]/);
-  if (parts.length < 2) return null;
-  return parseStartTime(parts[1].trim());
+// schedule_entries start_time/end_time ('HH:MM') for a time range; nulls when it has none
+function entryTimes(timeRange) {
+  const range = parseTimeRange(timeRange);
+  return range ? { startTime: timeLabel(range.start), endTime: timeLabel(range.end) } : { startTime: null, endTime: null };
 }
 
 function findPlaylistSybId(playlistName) {
   if (!playlistName) return null;
-  const match = PLAYLIST_CATALOG.find(p =>
+  const match = loadPlaylistCatalog().find(p =>
     p.name.toLowerCase() === playlistName.toLowerCase()
   );
   return match?.sybId || null;
@@ -3431,54 +6313,75 @@ function findPlaylistSybId(playlistName) {
 // Native SYB schedule builder (Phase 1)
 // ---------------------------------------------------------------------------
 
-function parseStartTimeForSyb(timeRange) {
-  // "9:00 AM - 12:00 PM" → "090000" (AM/PM format)
-  // "10:00-12:30" → "100000" (24h format from generateDayparts)
-  const ampmMatch = timeRange.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-  if (ampmMatch) {
-    let h = parseInt(ampmMatch[1]);
-    const m = ampmMatch[2];
-    const ampm = ampmMatch[3].toUpperCase();
-    if (ampm === 'PM' && h < 12) h += 12;
-    if (ampm === 'AM' && h === 12) h = 0;
-    return String(h).padStart(2, '0') + m + '00';
-  }
-  // 24h format: "10:00-12:30" or "10:00"
-  const h24Match = timeRange.match(/(\d{1,2}):(\d{2})/);
-  if (h24Match) {
-    return String(parseInt(h24Match[1])).padStart(2, '0') + h24Match[2] + '00';
-  }
-  return null;
-}
-
-function parseTimeToMinutes(timeStr) {
-  const ampmMatch = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-  if (ampmMatch) {
-    let h = parseInt(ampmMatch[1]);
-    const m = parseInt(ampmMatch[2]);
-    const ampm = ampmMatch[3].toUpperCase();
-    if (ampm === 'PM' && h < 12) h += 12;
-    if (ampm === 'AM' && h === 12) h = 0;
-    return h * 60 + m;
-  }
-  // 24h format
-  const h24Match = timeStr.match(/(\d{1,2}):(\d{2})/);
-  if (h24Match) {
-    return parseInt(h24Match[1]) * 60 + parseInt(h24Match[2]);
-  }
-  return null;
-}
-
-function parseDurationMs(timeRange) {
-  // "9:00 AM - 12:00 PM" → 10800000 (3 hours in ms)
-  const parts = timeRange.split('-').map(s => s.trim());
-  if (parts.length !== 2) return null;
-  const startMin = parseTimeToMinutes(parts[0]);
-  const endMin = parseTimeToMinutes(parts[1]);
-  if (startMin === null || endMin === null) return null;
-  let diff = endMin - startMin;
-  if (diff <= 0) diff += 24 * 60; // crosses midnight
-  return diff * 60 * 1000;
+/**
+ * Transition bridges (opt-in per brief via transitionMinutes): at each boundary
+ * between two open dayparts that both have a liked playlist, the last `minutes`
+ * of the earlier daypart play a bridge playlist. Candidates are ranked by the
+ * match engine at the energy halfway between the two dayparts, with both
+ * sides' playlists as liked feedback; the pick is the one closest to both.
+ * Sets dp.bridge = { to, minutes, energy, playlist, times } on the earlier
+ * daypart (daypartTimes then ends it where the bridge starts) and returns the
+ * bridges. Skipped where the next daypart starts on another calendar day
+ * (weekly hours past midnight) or the daypart is shorter than three bridges.
+ */
+function planTransitionBridges(data, dayparts, order, likedPlaylists, minutes) {
+  if (!minutes || !dayparts) return [];
+  const byId = new Map(loadPlaylistCatalog().map(p => [String(p.id), p]));
+  const features = id => (byId.has(id) ? CATALOG_SOURCES.syb.features(byId.get(id)) : null);
+  const liked = (likedPlaylists || []).filter(p => p.playlistId && p.scheduleType !== 'weekend');
+  const usedIds = new Set(liked.map(p => String(p.playlistId)));
+  const keys = (order || Object.keys(dayparts)).filter(k => dayparts[k] && !dayparts[k].closed);
+  const bridges = [];
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const from = dayparts[keys[i]];
+    const to = dayparts[keys[i + 1]];
+    const fromIds = liked.filter(p => p.daypart === keys[i]).map(p => String(p.playlistId));
+    const toIds = liked.filter(p => p.daypart === keys[i + 1]).map(p => String(p.playlistId));
+    if (fromIds.length === 0 || toIds.length === 0) continue;
+
+    const toStarts = daypartTimes(to).map(t => `${t.days}|${parseTimeRange(t.timeRange)?.start}`);
+    const times = [];
+    for (const t of daypartTimes(from)) {
+      const range = parseTimeRange(t.timeRange);
+      if (!range || rangeMinutes(range) < minutes * 3 || !toStarts.includes(`${t.days}|${range.end % 1440}`)) continue;
+      times.push({ days: t.days, timeRange: `${timeLabel(range.end - minutes)}-${timeLabel(range.end)}` });
+    }
+    if (times.length === 0) continue;
+
+    const energy = Math.round((from.energy + to.energy) / 2);
+    const { recommendations } = deterministicMatch(data, [{ key: 'bridge', label: 'Bridge', timeRange: times[0].timeRange, energy }], [], {
+      perDaypart: 8,
+      excludeIds: [...usedIds],
+      likedIds: [...fromIds, ...toIds],
+    });
+    const closeness = (f, ids) => Math.max(0, ...ids.map(features).filter(Boolean).map(n => featureSimilarity(f, n)));
+    let best = null;
+    for (const rec of recommendations) {
+      const f = features(String(rec.playlistId));
+      if (!f || !byId.get(String(rec.playlistId)).sybId) continue;
+      const score = rec.matchScore / 100 + Math.min(closeness(f, fromIds), closeness(f, toIds));
+      if (!best || score > best.score) best = { playlist: byId.get(String(rec.playlistId)), score };
+    }
+    if (!best) continue;
+
+    usedIds.add(String(best.playlist.id));
+    from.bridge = {
+      to: keys[i + 1],
+      minutes,
+      energy,
+      playlist: { playlistId: best.playlist.id, name: best.playlist.name, sybId: best.playlist.sybId },
+      times,
+    };
+    bridges.push({ from: keys[i], ...from.bridge });
+  }
+  return bridges;
+}
+
+// SYB slot start ("HHMMSS") and duration for a time range, or null
+function sybSlotTime(timeRange) {
+  const range = parseTimeRange(timeRange);
+  return range ? { start: sybTimeLabel(range.start), duration: rangeMinutes(range) * 60 * 1000 } : null;
 }
 
 function buildSybSchedule({ venueName, zoneName, accountId, briefId, likedPlaylists, dayparts, eventDate }) {
@@ -3501,24 +6404,64 @@ function buildSybSchedule({ venueName, zoneName, accountId, briefId, likedPlayli
     // Find matching daypart for time range
     const dpKey = playlist.daypart;
     const dp = dpKey && dayparts ? dayparts[dpKey] : null;
-    const timeRange = dp?.timeRange || playlist.timeRange;
-    if (!timeRange) continue;
-
-    const startTime = parseStartTimeForSyb(timeRange);
-    const durationMs = parseDurationMs(timeRange);
-    if (!startTime || !durationMs) continue;
+    if (dp?.closed) continue;
 
     const days = eventDay ? [eventDay] :
                  playlist.scheduleType === 'weekend' ? ['SA', 'SU'] :
                  playlist.scheduleType === 'weekday' ? ['MO', 'TU', 'WE', 'TH', 'FR'] : ALL_DAYS;
 
-    for (const day of days) {
-      slots.push({
-        rrule: `FREQ=WEEKLY;BYDAY=${day}`,
-        start: startTime,
-        duration: durationMs,
-        playlistIds: [sybId],
-      });
+    // Hours that vary by weekday: each day group at its own times
+    for (const { days: groupDays, timeRange } of daypartTimes(dp, playlist.timeRange)) {
+      const slotTime = sybSlotTime(timeRange);
+      if (!slotTime) continue;
+
+      for (const day of days.filter(d => !groupDays || groupDays.includes(d))) {
+        slots.push({
+          rrule: `FREQ=WEEKLY;BYDAY=${day}`,
+          start: slotTime.start,
+          duration: slotTime.duration,
+          playlistIds: [sybId],
+        });
+      }
+    }
+  }
+
+  // Closed gaps between opening windows: SYB plays nothing outside the slots,
+  // so a closure stays silent unless the brief named a fallback playlist
+  if (slots.length > 0 && !eventDate) {
+    for (const dp of Object.values(dayparts || {})) {
+      if (!dp.closed || !dp.fallback?.sybId) continue;
+      for (const { days, timeRange } of daypartTimes(dp)) {
+        const slotTime = sybSlotTime(timeRange);
+        if (!slotTime) continue;
+        for (const day of days || ALL_DAYS) {
+          slots.push({
+            rrule: `FREQ=WEEKLY;BYDAY=${day}`,
+            start: slotTime.start,
+            duration: slotTime.duration,
+            playlistIds: [dp.fallback.sybId],
+          });
+        }
+      }
+    }
+  }
+
+  // Transition bridges: the end of a daypart hands over to the next one
+  if (slots.length > 0) {
+    for (const dp of Object.values(dayparts || {})) {
+      if (dp.closed || !dp.bridge?.playlist?.sybId) continue;
+      for (const { days, timeRange } of dp.bridge.times) {
+        const slotTime = sybSlotTime(timeRange);
+        if (!slotTime) continue;
+        for (const day of (eventDay ? [eventDay] : ALL_DAYS).filter(d => !days || days.includes(d))) {
+          slots.push({
+            rrule: `FREQ=WEEKLY;BYDAY=${day}`,
+            start: slotTime.start,
+            duration: slotTime.duration,
+            playlistIds: [dp.bridge.playlist.sybId],
+          });
+        }
+      }
     }
   }
 
@@ -3768,7 +6711,99 @@ async function sybAssignSource(zoneId, playlistSybId) {
   `, { input: { soundZones: [zoneId], source: playlistSybId } });
 }
 
+async function sybPauseZone(zoneId) {
+  return sybQuery(`
+    mutation($input: PauseInput!) {
+      pause(input: $input) { __typename }
+    }
+  `, { input: { soundZone: zoneId } });
+}
+
+async function sybPlayZone(zoneId) {
+  return sybQuery(`
+    mutation($input: PlayInput!) {
+      play(input: $input) { __typename }
+    }
+  `, { input: { soundZone: zoneId } });
+}
+
+// Closed gaps between split-shift opening windows, one 'closed' entry per gap.
+// No playlist means the worker pauses the zone until the next window opens.
+async function insertClosureEntries(briefId, zoneId, zoneName, dayparts, timezone) {
+  let created = 0;
+  for (const dp of Object.values(dayparts || {})) {
+    if (!dp.closed) continue;
+    for (const { days, timeRange } of daypartTimes(dp)) {
+      const { startTime, endTime } = entryTimes(timeRange);
+      if (!startTime) continue;
+      await pool.query(
+        `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone, entry_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'closed')`,
+        [briefId, zoneId, zoneName, dp.fallback?.sybId || null, dp.fallback?.name || 'Closed (silent)', startTime, endTime, entryDaysFor(days), timezone]
+      );
+      created++;
+    }
+  }
+  return created;
+}
+
+// Transition bridges, one 'bridge' entry per bridge window (see planTransitionBridges)
+async function insertBridgeEntries(briefId, zoneId, zoneName, dayparts, timezone) {
+  let created = 0;
+  for (const dp of Object.values(dayparts || {})) {
+    if (dp.closed || !dp.bridge?.playlist?.sybId) continue;
+    for (const { days, timeRange } of dp.bridge.times) {
+      const { startTime, endTime } = entryTimes(timeRange);
+      if (!startTime) continue;
+      await pool.query(
+        `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone, entry_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'bridge')`,
+        [briefId, zoneId, zoneName, dp.bridge.playlist.sybId, dp.bridge.playlist.name, startTime, endTime, entryDaysFor(days), timezone]
+      );
+      created++;
+    }
+  }
+  return created;
+}
+
+// Closures: pause the zone, or play the fallback playlist like any other entry
+async function assignClosure(entry) {
+  try {
+    await sybPauseZone(entry.zone_id);
+    await pool.query(
+      'UPDATE schedule_entries SET last_assigned_at = NOW(), retry_count = 0 WHERE id = $1',
+      [entry.id]
+    );
+    console.log(`[Worker] Paused zone "${entry.zone_name}" for closure (entry ${entry.id})`);
+  } catch (err) {
+    const retries = (entry.retry_count || 0) + 1;
+    console.error(`[Worker] Failed to pause zone for closure entry ${entry.id} (retry ${retries}/3):`, err.message);
+    await pool.query('UPDATE schedule_entries SET status = $1, retry_count = $2 WHERE id = $3', [retries >= 3 ? 'error' : 'active', retries, entry.id]);
+  }
+}
+
+// A window opening after a silent closure (a split-shift gap or a closed day)
+// has to restart playback: the zone's last assigned entry paused it
+async function resumeAfterClosure(entry) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT entry_type, playlist_syb_id FROM schedule_entries
+       WHERE zone_id = $1 AND id <> $2 AND last_assigned_at IS NOT NULL
+       ORDER BY last_assigned_at DESC
+       LIMIT 1`,
+      [entry.zone_id, entry.id]
+    );
+    if (rows[0]?.entry_type !== 'closed' || rows[0].playlist_syb_id) return;
+    await sybPlayZone(entry.zone_id);
+    console.log(`[Worker] Resumed zone "${entry.zone_name}" after closure`);
+  } catch (err) {
+    console.log('[Worker] Resume after closure failed (non-critical):', err.message);
+  }
+}
+
 async function assignPlaylist(entry) {
+  if (entry.entry_type === 'closed' && !entry.playlist_syb_id) return assignClosure(entry);
+
   // Skip entries without a playlist (e.g. revert entries where source capture failed)
   if (!entry.playlist_syb_id) {
     console.log(`[Worker] Skipping entry ${entry.id} — no playlist_syb_id (${entry.entry_type || 'regular'})`);
@@ -3780,6 +6815,7 @@ async function assignPlaylist(entry) {
 
   try {
     await sybAssignSource(entry.zone_id, entry.playlist_syb_id);
+    if (entry.entry_type !== 'closed') await resumeAfterClosure(entry);
     await pool.query(
       'UPDATE schedule_entries SET last_assigned_at = NOW(), retry_count = 0 WHERE id = $1',
       [entry.id]
@@ -3801,9 +6837,9 @@ async function assignPlaylist(entry) {
 async function captureZoneSourceForRevert(entry) {
   try {
     // Check if revert entry already has a target
-    const revertCheck = await pool.query('SELECT playlist_syb_id FROM schedule_entries WHERE id = $1', [entry.revert_entry_id]);
-    if (revertCheck.rows.length > 0 && revertCheck.rows[0].playlist_syb_id) {
-      return; // Already has a revert target (set during submit/approval)
+    const revertCheck = await pool.query('SELECT playlist_syb_id, entry_type FROM schedule_entries WHERE id = $1', [entry.revert_entry_id]);
+    if (revertCheck.rows.length > 0 && (revertCheck.rows[0].playlist_syb_id || revertCheck.rows[0].entry_type === 'closed')) {
+      return; // Already has a revert target (set during submit/approval) or closes the zone
     }
 
     // Query the zone's current source before we overwrite it
@@ -3843,6 +6879,160 @@ async function handleEventPostAssignment(entry) {
   }
 }
 
+// Seasonal overlays chosen at submit: every holiday window in the next year for
+// the venue's country, each with a SYB playlist themed for it (null when the
+// search finds none — the designer picks one by hand). The year starts today in
+// the venue's stored timezone — the one the worker applies overlays in — when it
+// has a venues row, otherwise in its country's.
+async function planSeasonalOverlays(data) {
+  let timeZone = venueTimeZone(data.location);
+  if (pool && data.venueName) {
+    try {
+      const { rows } = await pool.query('SELECT timezone FROM venues WHERE venue_name = $1', [data.venueName]);
+      if (rows[0]?.timezone) timeZone = rows[0].timezone;
+    } catch (err) {
+      console.log('[Seasons] Venue timezone lookup failed (non-critical):', err.message);
+    }
+  }
+  const windows = seasonalWindows(resolveVenueCountry(data.location), localDateString(timeZone), SEASONAL_PLANNING_DAYS)
+    .filter(w => w.overlay);
+  const picks = new Map();
+  const overlays = [];
+  for (const w of windows) {
+    if (!picks.has(w.key)) {
+      let playlist = null;
+      try {
+        const results = await sybSearchPlaylists([w.keywords[0]], 5);
+        playlist = results.find(p => detectPlaylistSeasons(`${p.name} ${p.description}`.toLowerCase()).includes(w.key)) || null;
+      } catch (err) {
+        console.log(`[Seasons] Playlist search for ${w.name} failed (non-critical):`, err.message);
+      }
+      picks.set(w.key, playlist);
+    }
+    const playlist = picks.get(w.key);
+    overlays.push({
+      key: w.key,
+      name: w.name,
+      start: w.start,
+      end: w.end,
+      overlayStart: w.overlay.start,
+      overlayEnd: w.overlay.end,
+      playlistSybId: playlist?.sybId || null,
+      playlistName: playlist?.name || null,
+    });
+  }
+  return overlays;
+}
+
+// Recurring entry for a zone that is playing at `time` on `date` (the latest start
+// at or before it that day, else the last one of the day before): where the
+// zone returns to when a seasonal overlay ends
+const ENTRY_RUNS_ON_SQL = date => `(days = 'daily'
+             OR (days = 'weekday' AND EXTRACT(DOW FROM ${date}) BETWEEN 1 AND 5)
+             OR (days = 'weekend' AND EXTRACT(DOW FROM ${date}) IN (0, 6))
+             OR strpos(days, (ARRAY['SU','MO','TU','WE','TH','FR','SA'])[EXTRACT(DOW FROM ${date})::int + 1]) > 0)`;
+
+async function regularEntryAt(zoneId, date, time) {
+  const { rows } = await pool.query(`
+    SELECT playlist_syb_id, playlist_name, entry_type FROM schedule_entries
+    WHERE zone_id = $1 AND status = 'active' AND event_date IS NULL
+      AND ((start_time <= $3::time AND ${ENTRY_RUNS_ON_SQL('$2::date')})
+        OR (start_time > $3::time AND ${ENTRY_RUNS_ON_SQL('$2::date - 1')}))
+    ORDER BY start_time <= $3::time DESC, start_time DESC
+    LIMIT 1
+  `, [zoneId, date, time]);
+  return rows[0] || null;
+}
+
+// Create today's seasonal entries for venues whose current brief opted in.
+// Same pairing as event mode: a dated 'seasonal' entry plus a 'revert' entry at
+// the overlay's end (the next day for overnight overlays) back to the regular
+// entry playing then; the worker suppresses regular entries inside the overlay.
+// Pairs that have fully played out are deleted. Runs at most once an hour.
+const SEASONAL_OVERLAY_INTERVAL_MS = 60 * 60 * 1000;
+let seasonalOverlaysCheckedAt = 0;
+
+async function scheduleSeasonalOverlays() {
+  if (Date.now() - seasonalOverlaysCheckedAt < SEASONAL_OVERLAY_INTERVAL_MS) return;
+  seasonalOverlaysCheckedAt = Date.now();
+
+  try {
+    const { rowCount } = await pool.query(`
+      WITH stale AS (
+        SELECT s.id, s.revert_entry_id FROM schedule_entries s
+        LEFT JOIN schedule_entries r ON r.id = s.revert_entry_id
+        WHERE s.entry_type = 'seasonal'
+          AND COALESCE(r.event_date, s.event_date) < (NOW() AT TIME ZONE COALESCE(s.timezone, 'Asia/Bangkok'))::date
+      )
+      DELETE FROM schedule_entries
+      WHERE id IN (SELECT id FROM stale UNION SELECT revert_entry_id FROM stale)
+    `);
+    if (rowCount > 0) console.log(`[Worker] Removed ${rowCount} past seasonal overlay entries`);
+  } catch (err) {
+    console.log('[Worker] Seasonal overlay cleanup failed (non-critical):', err.message);
+  }
+
+  try {
+    const { rows } = await pool.query(`
+      SELECT b.id AS brief_id, b.schedule_data->'seasonalOverlays' AS overlays,
+             m.syb_zone_id, m.brief_zone_name, COALESCE(v.timezone, 'Asia/Bangkok') AS timezone,
+             to_char(NOW() AT TIME ZONE COALESCE(v.timezone, 'Asia/Bangkok'), 'YYYY-MM-DD') AS local_date
+      FROM briefs b
+      JOIN venues v ON v.latest_brief_id = b.id
+      JOIN venue_zone_mappings m ON m.venue_name = b.venue_name
+      WHERE b.status IN ('approved', 'scheduled')
+        AND jsonb_typeof(b.schedule_data->'seasonalOverlays') = 'array'
+    `);
+
+    for (const row of rows) {
+      const due = row.overlays.filter(o => o.playlistSybId && o.start <= row.local_date && row.local_date <= o.end);
+      for (const overlay of due) {
+        const existing = await pool.query(
+          `SELECT 1 FROM schedule_entries
+           WHERE brief_id = $1 AND zone_id = $2 AND event_date = $3 AND entry_type = 'seasonal'`,
+          [row.brief_id, row.syb_zone_id, row.local_date]
+        );
+        if (existing.rows.length > 0) continue;
+
+        const revertDate = overlay.overlayEnd <= overlay.overlayStart ? addDays(row.local_date, 1) : row.local_date;
+        const resumeTo = await regularEntryAt(row.syb_zone_id, revertDate, overlay.overlayEnd);
+        // A silent closure at the overlay's end pauses the zone instead; with no
+        // regular entry at all, the worker captures the zone's source as event mode does
+        const closesAtEnd = resumeTo?.entry_type === 'closed' && !resumeTo.playlist_syb_id;
+
+        const seasonalEntry = await pool.query(
+          `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, end_time, days, timezone, event_date, entry_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 'daily', $8, $9, 'seasonal') RETURNING id`,
+          [row.brief_id, row.syb_zone_id, row.brief_zone_name, overlay.playlistSybId, overlay.playlistName, overlay.overlayStart, overlay.overlayEnd, row.timezone, row.local_date]
+        );
+        const revertEntry = await pool.query(
+          `INSERT INTO schedule_entries (brief_id, zone_id, zone_name, playlist_syb_id, playlist_name, start_time, days, timezone, event_date, entry_type, status)
+           VALUES ($1, $2, $3, $4, $5, $6, 'daily', $7, $8, $9, 'active') RETURNING id`,
+          [row.brief_id, row.syb_zone_id, row.brief_zone_name,
+            resumeTo?.playlist_syb_id || null, resumeTo?.playlist_syb_id ? resumeTo.playlist_name : closesAtEnd ? 'Closed' : 'Revert to previous',
+            overlay.overlayEnd, row.timezone, revertDate, closesAtEnd ? 'closed' : 'revert']
+        );
+        await pool.query('UPDATE schedule_entries SET revert_entry_id = $1 WHERE id = $2', [revertEntry.rows[0].id, seasonalEntry.rows[0].id]);
+        console.log(`[Worker] Seasonal overlay "${overlay.name}" scheduled for zone "${row.brief_zone_name}" on ${row.local_date} (${overlay.overlayStart}–${overlay.overlayEnd}, then ${resumeTo?.playlist_name || (closesAtEnd ? 'closed' : 'previous source')})`);
+      }
+    }
+  } catch (err) {
+    console.error('[Worker] Seasonal overlay scheduling failed:', err.message);
+  }
+}
+
+// Recurring entries whose start falls inside a seasonal overlay are held back:
+// today's overlay from its start to its end (or midnight when it runs overnight),
+// plus the after-midnight tail of yesterday's overnight overlay
+const SEASONAL_SUPPRESSION_SQL = `NOT EXISTS (
+             SELECT 1 FROM schedule_entries o
+             WHERE o.zone_id = schedule_entries.zone_id AND o.entry_type = 'seasonal'
+               AND ((o.event_date = (NOW() AT TIME ZONE COALESCE(schedule_entries.timezone, 'Asia/Bangkok'))::date
+                     AND schedule_entries.start_time >= o.start_time
+                     AND (o.end_time <= o.start_time OR schedule_entries.start_time < o.end_time))
+                 OR (o.event_date = (NOW() AT TIME ZONE COALESCE(schedule_entries.timezone, 'Asia/Bangkok'))::date - 1
+                     AND o.end_time <= o.start_time AND schedule_entries.start_time < o.end_time)))`;
+
 async function scheduleWorker() {
   if (!pool || !process.env.SOUNDTRACK_API_TOKEN) return;
 
@@ -3851,8 +7041,11 @@ async function scheduleWorker() {
     // This means schedule times like "08:00" are correctly compared against the current
     // local time in the venue's timezone, not UTC.
 
+    await scheduleSeasonalOverlays();
+
     // Find entries due now (within 2-minute window to handle polling gaps)
     // event_date filter: recurring entries (NULL) always eligible; event entries only on their date
+    // Recurring entries that start inside today's seasonal overlay for their zone are held back
     const { rows } = await pool.query(`
       SELECT * FROM schedule_entries
       WHERE status = 'active'
@@ -3863,9 +7056,11 @@ async function scheduleWorker() {
         AND (days = 'daily'
              OR (days = 'weekday' AND EXTRACT(DOW FROM NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok')) BETWEEN 1 AND 5)
              OR (days = 'weekend' AND EXTRACT(DOW FROM NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok')) IN (0, 6))
+             OR strpos(days, (ARRAY['SU','MO','TU','WE','TH','FR','SA'])[EXTRACT(DOW FROM NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok'))::int + 1]) > 0
              OR event_date IS NOT NULL)
         AND (last_assigned_at IS NULL
              OR last_assigned_at < (NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok'))::date)
+        AND (event_date IS NOT NULL OR ${SEASONAL_SUPPRESSION_SQL})
     `);
 
     if (rows.length > 0) {
@@ -3874,7 +7069,7 @@ async function scheduleWorker() {
     }
 
     for (const entry of rows) {
-      if (entry.event_date && entry.entry_type === 'event' && entry.revert_entry_id) {
+      if (entry.event_date && ['event', 'seasonal'].includes(entry.entry_type) && entry.revert_entry_id) {
         await captureZoneSourceForRevert(entry);
       }
       await assignPlaylist(entry);
@@ -3891,9 +7086,11 @@ async function scheduleWorker() {
         AND (days = 'daily'
              OR (days = 'weekday' AND EXTRACT(DOW FROM NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok')) BETWEEN 1 AND 5)
              OR (days = 'weekend' AND EXTRACT(DOW FROM NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok')) IN (0, 6))
+             OR strpos(days, (ARRAY['SU','MO','TU','WE','TH','FR','SA'])[EXTRACT(DOW FROM NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok'))::int + 1]) > 0
              OR event_date IS NOT NULL)
         AND (last_assigned_at IS NULL
              OR last_assigned_at < (NOW() AT TIME ZONE COALESCE(timezone, 'Asia/Bangkok'))::date)
+        AND (event_date IS NOT NULL OR ${SEASONAL_SUPPRESSION_SQL})
       ORDER BY start_time DESC
     `);
 
@@ -3907,7 +7104,7 @@ async function scheduleWorker() {
 
     for (const entry of Object.values(latestPerZone)) {
       console.log(`[Worker] Catching up overdue entry ${entry.id}: "${entry.playlist_name}" (was due at ${entry.start_time})`);
-      if (entry.event_date && entry.entry_type === 'event' && entry.revert_entry_id) {
+      if (entry.event_date && ['event', 'seasonal'].includes(entry.entry_type) && entry.revert_entry_id) {
         await captureZoneSourceForRevert(entry);
       }
       await assignPlaylist(entry);
@@ -0,0 +1,310 @@
+/**
+ * Time and range parsing for hours strings, dayparts and schedule entries.
+ *
+ * Times are minutes from midnight. Understands 12h and 24h clocks ("5pm",
+ * "5:30 p.m.", "17:30", "17.30", "1730", "17.30 น."), noon/midnight, Thai
+ * numerals (๑๗.๓๐) and the Thai clock ("เที่ยง", "บ่ายสอง", "หกโมงเย็น",
+ * "สองทุ่ม", "ตีสอง", "เที่ยงคืน").
+ *
+ * A range is { start, end, overnight }: end is after start, past 1440 when the
+ * range crosses midnight ("5pm-2am" → 1020-1560). "24:00" is 1440. A range
+ * whose two times are the same has end === start — callers decide whether
+ * that is empty or all day.
+ *
+ * Weekly hours ("Mon-Fri 9-17, Sat 10-14", "9am-6pm weekdays, 10am-4pm
+ * weekends") are split into day groups by parseWeeklyHours.
+ *
+ * scripts/test-time-parsing.js runs the fixtures in scripts/fixtures/time-parsing.json.
+ */
+
+const THAI_DIGITS = '\u0e50\u0e51\u0e52\u0e53\u0e54\u0e55\u0e56\u0e57\u0e58\u0e59'; // ๐-๙
+
+// Longest first, so สิบสอง isn't read as สิบ + สอง
+const THAI_NUMBER_WORDS = [
+  ['\u0e2a\u0e34\u0e1a\u0e40\u0e2d\u0e47\u0e14', 11], // สิบเอ็ด
+  ['\u0e2a\u0e34\u0e1a\u0e2a\u0e2d\u0e07', 12], // สิบสอง
+  ['\u0e2a\u0e34\u0e1a', 10], // สิบ
+  ['\u0e2b\u0e19\u0e36\u0e48\u0e07', 1], // หนึ่ง
+  ['\u0e2a\u0e2d\u0e07', 2], // สอง
+  ['\u0e2a\u0e32\u0e21', 3], // สาม
+  ['\u0e2a\u0e35\u0e48', 4], // สี่
+  ['\u0e2b\u0e49\u0e32', 5], // ห้า
+  ['\u0e2b\u0e01', 6], // หก
+  ['\u0e40\u0e08\u0e47\u0e14', 7], // เจ็ด
+  ['\u0e41\u0e1b\u0e14', 8], // แปด
+  ['\u0e40\u0e01\u0e49\u0e32', 9], // เก้า
+];
+
+const TH = {
+  midnight: '\u0e40\u0e17\u0e35\u0e48\u0e22\u0e07\u0e04\u0e37\u0e19', // เที่ยงคืน
+  noon: '\u0e40\u0e17\u0e35\u0e48\u0e22\u0e07', // เที่ยง
+  day: '\u0e27\u0e31\u0e19', // วัน
+  ti: '\u0e15\u0e35', // ตี (01:00-05:00)
+  bai: '\u0e1a\u0e48\u0e32\u0e22', // บ่าย (afternoon)
+  mong: '\u0e42\u0e21\u0e07', // โมง
+  chao: '\u0e40\u0e0a\u0e49\u0e32', // เช้า (morning)
+  yen: '\u0e40\u0e22\u0e47\u0e19', // เย็น (evening)
+  thum: '\u0e17\u0e38\u0e48\u0e21', // ทุ่ม (19:00-23:00)
+  half: '\u0e04\u0e23\u0e36\u0e48\u0e07', // ครึ่ง
+  clock: '(?:\u0e19\\.?|\u0e19\u0e32\u0e2c\u0e34\u0e01\u0e32)', // น. / นาฬิกา
+  until: '\u0e16\u0e36\u0e07', // ถึง
+};
+
+// One time of day. Alternatives are tried in order, so the word forms come
+// before plain numbers ("12 noon", "6 โมงเย็น").
+const TIME_SOURCE = '(?<![\\d:.])(?:' + [
+  '(?:12\\s*)?(?:noon|midday|midnight)',
+  TH.midnight,
+  `${TH.noon}(?:${TH.day})?`,
+  `${TH.ti}\\s*\\d{1,2}(?:\\s*${TH.half})?`,
+  `${TH.bai}\\s*(?:\\d{1,2}\\s*(?:${TH.mong})?|${TH.mong})(?:\\s*${TH.half})?`,
+  `\\d{1,2}\\s*${TH.mong}(?:${TH.chao}|${TH.yen})?(?:\\s*${TH.half})?`,
+  `\\d{1,2}\\s*${TH.thum}(?:\\s*${TH.half})?`,
+  `\\d{1,2}(?:[:.]\\d{2}|\\d{2})?(?:\\s*(?:am|pm)(?![a-z]))?(?:\\s*${TH.clock})?`,
+].join('|') + ')(?!\\d)';
+
+const RANGE_SEPARATOR = `\\s*(?:-+|\\u2013|\\u2014|~|to|until|till|${TH.until})\\s*`;
+const TIME_RE = new RegExp(`^\\s*(${TIME_SOURCE})\\s*$`);
+// Not part of a longer dash chain, so dates ("2026-10-19") aren't read as ranges
+const RANGE_RE = new RegExp(`(?<!-\\s*)(${TIME_SOURCE})${RANGE_SEPARATOR}(${TIME_SOURCE})(?!\\s*-\\s*\\d)`, 'g');
+
+// Thai digits and number words to ASCII digits, "p.m." to "pm", lower case
+function normalize(text) {
+  let s = String(text || '').toLowerCase()
+    .replace(/[\u0e50-\u0e59]/g, d => String(THAI_DIGITS.indexOf(d)))
+    .replace(/(^|[^a-z])([ap])\.\s?m\.?(?![a-z])/g, '$1$2m');
+  for (const [word, n] of THAI_NUMBER_WORDS) s = s.split(word).join(String(n));
+  return s;
+}
+
+// { minutes, meridiem } for one normalized token. meridiem is 'am'/'pm' when
+// written, 'fixed' for words that can't be read any other way, null for a
+// bare 1-12 clock number that a range may still read as am or pm.
+function readToken(token) {
+  const t = token.trim();
+  let m;
+  // Noon reads as 12pm and midnight as 12am, so "5-midnight" is 17:00-24:00
+  if ((m = /^(?:12\s*)?(noon|midday|midnight)$/.exec(t))) return m[1] === 'midnight' ? { minutes: 0, meridiem: 'am' } : { minutes: 720, meridiem: 'pm' };
+  if (t === TH.midnight) return { minutes: 0, meridiem: 'fixed' };
+  if (new RegExp(`^${TH.noon}(?:${TH.day})?$`).test(t)) return { minutes: 720, meridiem: 'fixed' };
+
+  const half = new RegExp(`${TH.half}$`).test(t) ? 30 : 0;
+  const thai = (hours) => (hours >= 0 && hours <= 24 ? { minutes: (hours * 60 + half) % 1440, meridiem: 'fixed' } : null);
+  if ((m = new RegExp(`^${TH.ti}\\s*(\\d{1,2})`).exec(t))) return parseInt(m[1], 10) <= 6 ? thai(parseInt(m[1], 10)) : null;
+  if ((m = new RegExp(`^${TH.bai}\\s*(\\d{1,2})?`).exec(t))) return thai(12 + (parseInt(m[1], 10) || 1));
+  if ((m = new RegExp(`^(\\d{1,2})\\s*${TH.thum}`).exec(t))) return parseInt(m[1], 10) <= 6 ? thai(18 + parseInt(m[1], 10)) : null;
+  if ((m = new RegExp(`^(\\d{1,2})\\s*${TH.mong}(${TH.chao}|${TH.yen})?`).exec(t))) {
+    const n = parseInt(m[1], 10);
+    if (n < 1 || n > 12) return null;
+    if (m[2] === TH.chao) return thai(n < 6 ? n + 6 : n); // "โมงเช้า" counts from 06:00 in the old style
+    if (m[2] === TH.yen) return thai(n === 12 ? 12 : n + 12);
+    return thai(n >= 7 ? n : n + 12); // bare "4 โมง" is 16:00, "8 โมง" 08:00
+  }
+
+  m = new RegExp(`^(\\d{1,2})(?:[:.](\\d{2})|(\\d{2}))?\\s*(am|pm)?(?:\\s*${TH.clock})?$`).exec(t);
+  if (!m) return null;
+  const hours = parseInt(m[1], 10);
+  const minutes = parseInt(m[2] || m[3] || '0', 10);
+  if (minutes > 59) return null;
+  if (m[4]) {
+    if (hours < 1 || hours > 12) return null;
+    return { minutes: ((hours % 12) + (m[4] === 'pm' ? 12 : 0)) * 60 + minutes, meridiem: m[4] };
+  }
+  if (hours > 24 || (hours === 24 && minutes > 0)) return null;
+  const bare = hours >= 1 && hours <= 12 && !m[1].startsWith('0');
+  return { minutes: hours * 60 + minutes, meridiem: bare ? null : 'fixed' };
+}
+
+// A bare 1-12 number next to an am/pm time reads on the same half of the day
+// when that keeps the range in order ("5-11pm", "9am-5" → 17:00), otherwise
+// on the other half ("10-2am" → 22:00, "5pm-2" → 02:00)
+function withMeridiem(token, meridiem, isBefore, other) {
+  const hours = Math.floor(token.minutes / 60) % 12;
+  const read = (mer) => (hours + (mer === 'pm' ? 12 : 0)) * 60 + token.minutes % 60;
+  const same = read(meridiem);
+  const inOrder = isBefore ? same < other : same > other;
+  return inOrder ? same : read(meridiem === 'am' ? 'pm' : 'am');
+}
+
+function toRange(startToken, endToken) {
+  let start = startToken.minutes;
+  let end = endToken.minutes;
+  const startMer = startToken.meridiem;
+  const endMer = endToken.meridiem;
+  if (!startMer && (endMer === 'am' || endMer === 'pm')) start = withMeridiem(startToken, endMer, true, end);
+  if (!endMer && (startMer === 'am' || startMer === 'pm')) end = withMeridiem(endToken, startMer, false, start);
+  // Two bare numbers running backwards are a 12h day range ("9-5" → 09:00-17:00)
+  if (!startMer && !endMer && end < start && end + 720 > start) end += 720;
+  if (start === 1440) start = 0;
+  if (end < start) end += 1440;
+  return { start, end, overnight: end > 1440 };
+}
+
+/** Minutes from midnight for one time ("17:30", "5.30pm", "noon", "สองทุ่ม"), or null. */
+function parseTimeOfDay(text) {
+  const m = TIME_RE.exec(normalize(text));
+  const token = m && readToken(m[1]);
+  return token ? token.minutes : null;
+}
+
+/** Every "A - B" range in a string, in order of appearance. */
+function findTimeRanges(text) {
+  const ranges = [];
+  for (const m of normalize(text).matchAll(RANGE_RE)) {
+    const startToken = readToken(m[1]);
+    const endToken = readToken(m[2]);
+    if (startToken && endToken) ranges.push(toRange(startToken, endToken));
+  }
+  return ranges;
+}
+
+/** The first range in a string ("9am - 5pm", "17.00 น. - 02.00 น."), or null. */
+function parseTimeRange(text) {
+  return findTimeRanges(text)[0] || null;
+}
+
+// Every range in an hours string is an opening window, so split shifts
+// ("11:00-14:30, 17:30-23:00") keep their closed gap. Sorted by opening;
+// a range with the same start and end is open all day. Overlapping or
+// touching windows are merged.
+function parseOpeningWindows(hoursStr) {
+  const windows = findTimeRanges(hoursStr)
+    .map(r => ({ start: r.start, end: r.end === r.start ? r.start + 1440 : r.end }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const w of windows) {
+    const last = merged[merged.length - 1];
+    if (last && w.start <= last.end) last.end = Math.max(last.end, w.end);
+    else merged.push({ ...w });
+  }
+  return merged;
+}
+
+// Weekday codes in SYB rrule order (BYDAY=MO...)
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_SHORT = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+const DAY_TOKEN_RE = /\b(?:(mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\.?|(weekdays?|weekends?|daily|every\s*day))\b/gi;
+const DAY_KEYWORDS = { weekday: WEEKDAY_CODES.slice(0, 5), weekend: ['SA', 'SU'], daily: WEEKDAY_CODES, everyday: WEEKDAY_CODES };
+
+// "closed on Sunday", "Mon closed", "Sun: off"
+const CLOSED_BEFORE_RE = /\b(?:closed|off)\s*(?:on|every|all)?\s*$/i;
+const CLOSED_AFTER_RE = /^\s*[:\-\u2013]?\s*(?:closed|off)\b/i;
+// Hours that run straight into their days ("10:00-22:00 Mon-Fri")
+const HOURS_BEFORE_DAYS_RE = /(?:\d|[ap]\.?m\.?|noon|midnight)\s*(?:on|every)?\s*$/i;
+// A later closing time for days that otherwise keep their hours ("Fri & Sat till 2am")
+const CLOSING_TIME_RE = /\b(?:till|until|to)\s+([^,;]+)/i;
+
+function dayTokenCodes(m) {
+  if (m[1]) return [WEEKDAY_CODES.find(c => WEEKDAY_SHORT[c].toLowerCase() === m[1].slice(0, 3).toLowerCase())];
+  return DAY_KEYWORDS[m[2].toLowerCase().replace(/s$/, '').replace(/\s+/g, '')];
+}
+
+// Day specs in order: adjacent day tokens joined by -, to, comma, &, /, and
+// form one spec. Ranges wrap (Sun-Thu).
+function findDaySpecs(text) {
+  const specs = [];
+  for (const m of text.matchAll(DAY_TOKEN_RE)) {
+    const codes = dayTokenCodes(m);
+    const prev = specs[specs.length - 1];
+    const between = prev ? text.slice(prev.end, m.index) : null;
+    if (prev && /^\s*(?:[-\u2013\u2014]|to|,|&|\/|and|\+)?\s*$/i.test(between)) {
+      if (/[-\u2013\u2014]|to/i.test(between) && codes.length === 1) {
+        const from = WEEKDAY_CODES.indexOf(prev.days[prev.days.length - 1]);
+        const to = WEEKDAY_CODES.indexOf(codes[0]);
+        for (let i = 1; i <= (to - from + 7) % 7; i++) prev.days.push(WEEKDAY_CODES[(from + i) % 7]);
+      } else {
+        prev.days.push(...codes);
+      }
+      prev.end = m.index + m[0].length;
+    } else {
+      specs.push({ days: [...codes], start: m.index, end: m.index + m[0].length });
+    }
+  }
+  return specs;
+}
+
+const windowsText = windows => windows.map(w => `${timeLabel(w.start)}-${timeLabel(w.end)}`).join(', ');
+
+/**
+ * Per-weekday hours: "Sun-Thu 17:00-01:00, Fri-Sat 17:00-03:00" →
+ * [{ days: ['MO','TU','WE','TH','SU'], hours: '17:00-01:00' }, { days: ['FR','SA'], hours: '17:00-03:00' }].
+ * Hours go with the days after them ("Mon-Fri 9-17") or, when the string opens
+ * with hours that run straight into days, the days after them ("9am-6pm
+ * weekdays"). Hours no day claims cover every day ("11am-11pm, closed on
+ * Sunday"); narrower day specs override wider ones, and "till 2am" moves
+ * their closing time ("Open daily 10-22, Fri & Sat till 2am"). Days marked
+ * closed or never named are closed. Groups with identical windows merge;
+ * hours is the group's windows as "HH:MM-HH:MM, ...". null when the string
+ * names no days, a day spec can't be given hours (the caller reads the whole
+ * string as daily hours instead), or one set of hours covers the whole week.
+ */
+function parseWeeklyHours(hoursStr) {
+  const text = hoursStr || '';
+  const specs = findDaySpecs(text);
+  if (specs.length === 0) return null;
+
+  const lead = text.slice(0, specs[0].start);
+  const hoursFirst = findTimeRanges(lead).length > 0 && HOURS_BEFORE_DAYS_RE.test(lead);
+  const slotOf = (spec, i) => (hoursFirst
+    ? text.slice(i > 0 ? specs[i - 1].end : 0, spec.start)
+    : text.slice(spec.end, i + 1 < specs.length ? specs[i + 1].start : undefined));
+  const general = parseOpeningWindows(hoursFirst ? text.slice(specs[specs.length - 1].end) : lead);
+
+  const byDay = new Map(WEEKDAY_CODES.map(d => [d, general.length > 0 ? general : null]));
+  const ordered = specs.map((spec, i) => ({ ...spec, slot: slotOf(spec, i) }))
+    .sort((a, b) => b.days.length - a.days.length);
+  for (const spec of ordered) {
+    const closed = CLOSED_BEFORE_RE.test(text.slice(0, spec.start)) || CLOSED_AFTER_RE.test(text.slice(spec.end));
+    const windows = parseOpeningWindows(spec.slot);
+    const closing = windows.length === 0 && CLOSING_TIME_RE.exec(spec.slot);
+    const closeAt = closing ? parseTimeOfDay(closing[1].trim()) : null;
+    for (const day of spec.days) {
+      if (windows.length > 0) byDay.set(day, windows);
+      else if (closeAt !== null && byDay.get(day)) {
+        const base = byDay.get(day);
+        const last = base[base.length - 1];
+        byDay.set(day, [...base.slice(0, -1), { start: last.start, end: closeAt > last.start ? closeAt : closeAt + 1440 }]);
+      } else if (closed) byDay.set(day, null);
+      else return null;
+    }
+  }
+
+  const byWindows = new Map();
+  for (const [day, windows] of byDay) {
+    if (!windows) continue;
+    const hours = windowsText(windows);
+    byWindows.set(hours, [...(byWindows.get(hours) || []), day]);
+  }
+  const groups = [...byWindows].map(([hours, days]) => ({ days, hours }));
+  if (groups.length === 0 || (groups.length === 1 && groups[0].days.length === 7)) return null;
+  return groups;
+}
+
+/** Length of a range in minutes; a range with the same start and end runs all day. */
+function rangeMinutes(range) {
+  return range.end - range.start || 1440;
+}
+
+/** "HH:MM" for minutes from midnight, wrapping past 24:00. */
+function timeLabel(mins) {
+  const m = ((mins % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/** "HHMMSS" start time for SYB schedule slots. */
+function sybTimeLabel(mins) {
+  return timeLabel(mins).replace(':', '') + '00';
+}
+
+module.exports = {
+  parseTimeOfDay,
+  parseTimeRange,
+  findTimeRanges,
+  parseOpeningWindows,
+  parseWeeklyHours,
+  rangeMinutes,
+  timeLabel,
+  sybTimeLabel,
+  WEEKDAY_CODES,
+  WEEKDAY_SHORT,
+};